@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { Emitter, CompositeDisposable } = require("atom");
+const { getMessageFingerprint, toPosix, onDidChangeRootFiles } = require("./helpers");
+
+const BASELINE_FILE_NAME = ".linter-bundle-baseline.json";
+const BASELINE_VERSION = 1;
+
+function compareMessages(a, b) {
+  const fileDiff = a.location.file.localeCompare(b.location.file);
+  return fileDiff || a.location.position.start.compare(b.location.position.start);
+}
+
+/**
+ * Baseline
+ * Loads `.linter-bundle-baseline.json` from each project root. The file counts
+ * message fingerprints per project-relative path, so accepted messages keep
+ * matching after the code around them moves; only the surplus is reported as new.
+ */
+class Baseline {
+  constructor() {
+    this.emitter = new Emitter();
+    // Map of project root to { filePath, files, error }
+    this.baselines = new Map();
+    this.mode = "hide";
+    this.subscriptions = new CompositeDisposable();
+    this.subscriptions.add(
+      this.emitter,
+      atom.config.observe("linter-bundle.baselineMode", (mode) => {
+        this.mode = mode;
+        this.emitter.emit("did-change");
+      }),
+      atom.project.onDidChangePaths(() => this.reload()),
+      onDidChangeRootFiles([BASELINE_FILE_NAME], () => this.reload()),
+    );
+    this.reload();
+  }
+
+  reload() {
+    this.baselines.clear();
+    for (const root of atom.project.getPaths()) {
+      const filePath = path.join(root, BASELINE_FILE_NAME);
+      if (!fs.existsSync(filePath)) {
+        continue;
+      }
+      try {
+        const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        if (!content || typeof content.files !== "object" || content.files === null) {
+          throw new Error("The baseline must have a `files` object");
+        }
+        this.baselines.set(root, { filePath, files: content.files, error: null });
+      } catch (error) {
+        this.baselines.set(root, { filePath, files: {}, error: error.message });
+        atom.notifications.addWarning("[Linter] Invalid baseline", {
+          detail: `${filePath}\n${error.message}`,
+          dismissable: true,
+        });
+      }
+    }
+    this.emitter.emit("did-change");
+  }
+
+  /**
+   * Returns the messages covered by the baseline. Each fingerprint covers as many
+   * messages of a file as were recorded, in order of their position.
+   * @param {Array} messages - Linter messages
+   * @returns {Set} Baselined messages
+   */
+  match(messages) {
+    const baselined = new Set();
+    if (!this.baselines.size) {
+      return baselined;
+    }
+    const remaining = new Map();
+    const candidates = messages.filter((message) => message.location.file).sort(compareMessages);
+    for (const message of candidates) {
+      const [root, relativePath] = atom.project.relativizePath(message.location.file);
+      const baseline = root ? this.baselines.get(root) : null;
+      const counts = baseline ? baseline.files[toPosix(relativePath)] : null;
+      if (!counts) {
+        continue;
+      }
+      const fingerprint = getMessageFingerprint(message);
+      const key = `${root}\0${relativePath}\0${fingerprint}`;
+      const left = remaining.has(key) ? remaining.get(key) : counts[fingerprint] || 0;
+      if (left > 0) {
+        baselined.add(message);
+        remaining.set(key, left - 1);
+      }
+    }
+    return baselined;
+  }
+
+  /**
+   * Writes a baseline of the given messages to every project root that has messages
+   * to record. Existing baselines are written even when empty, so they are cleared.
+   * @param {Array} messages - Messages to accept
+   * @returns {Promise<{count: number, filePaths: Array<string>}>}
+   */
+  async write(messages) {
+    const filesByRoot = new Map(atom.project.getPaths().map((root) => [root, {}]));
+    let count = 0;
+    for (const message of messages) {
+      if (!message.location.file) {
+        continue;
+      }
+      const [root, relativePath] = atom.project.relativizePath(message.location.file);
+      const files = root ? filesByRoot.get(root) : null;
+      if (!files) {
+        continue;
+      }
+      const key = toPosix(relativePath);
+      const counts = files[key] || (files[key] = {});
+      const fingerprint = getMessageFingerprint(message);
+      counts[fingerprint] = (counts[fingerprint] || 0) + 1;
+      count++;
+    }
+    const filePaths = [];
+    for (const [root, files] of filesByRoot) {
+      if (!Object.keys(files).length && !this.baselines.has(root)) {
+        continue;
+      }
+      const sortedFiles = {};
+      for (const key of Object.keys(files).sort()) {
+        sortedFiles[key] = files[key];
+      }
+      const filePath = path.join(root, BASELINE_FILE_NAME);
+      const content = { version: BASELINE_VERSION, files: sortedFiles };
+      await fs.promises.writeFile(filePath, `${JSON.stringify(content, null, 2)}\n`);
+      filePaths.push(filePath);
+    }
+    this.reload();
+    return { count, filePaths };
+  }
+
+  getBaselines() {
+    return Array.from(this.baselines, ([root, baseline]) => ({ root, ...baseline }));
+  }
+
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  dispose() {
+    this.subscriptions.dispose();
+    this.baselines.clear();
+  }
+}
+
+module.exports = Baseline;
@@ -1,5 +1,6 @@
 const { CompositeDisposable } = require("atom");
 const { scrollToCursorWithMode } = require("./helpers");
+const { hasSolutions } = require("./fixes");
 
 /**
  * BubblePanel - Shows linter messages on mouse hover over issues
@@ -287,6 +288,8 @@ class BubblePanel {
         content.appendChild(logRef);
       }
 
+      content.appendChild(this.createActions(message));
+
       item.appendChild(content);
 
       this.tooltip.appendChild(item);
@@ -371,6 +374,40 @@ class BubblePanel {
     };
   }
 
+  /**
+   * Creates clickable fix actions, one per solution of the message, and an
+   * action ignoring it. Lazily resolved solutions get a single action applying the best one.
+   */
+  createActions(message) {
+    const actions = document.createElement("div");
+    actions.classList.add("linter-bubble-actions");
+    let solutions = [];
+    if (hasSolutions(message)) {
+      solutions = Array.isArray(message.solutions) ? message.solutions : [null];
+    }
+    for (const solution of solutions) {
+      const action = document.createElement("a");
+      action.classList.add("linter-fix");
+      action.textContent = solution?.title || "Fix";
+      action.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.destroyTooltip();
+        this.pkg.applyFix(message, solution);
+      });
+      actions.appendChild(action);
+    }
+    const ignore = document.createElement("a");
+    ignore.classList.add("linter-ignore");
+    ignore.textContent = "Ignore";
+    ignore.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.destroyTooltip();
+      this.pkg.ignoreMessage(message);
+    });
+    actions.appendChild(ignore);
+    return actions;
+  }
+
   /**
    * Shows tooltip for a single message (used by keyboard commands).
    */
@@ -0,0 +1,102 @@
+const path = require("path");
+const { Disposable } = require("atom");
+
+// Runs finishing faster than this are not reported, to keep the busy UI quiet
+const BUSY_DELAY_MS = 1000;
+
+/**
+ * Busy Signal
+ * Reports long provider runs and project lints to the `busy-signal` service.
+ */
+class BusySignal {
+  constructor() {
+    this.service = null;
+    // Pending reports of running lints, by linter and then by request number
+    this.runs = new Map();
+    this.messages = new Set();
+  }
+
+  setService(service) {
+    this.service = service;
+    return new Disposable(() => {
+      if (this.service === service) {
+        this.clear();
+        this.service = null;
+      }
+    });
+  }
+
+  /**
+   * Reports a busy message if the service is available.
+   * @returns {Object|null} Busy message, dispose it when done
+   */
+  reportBusy(title, options) {
+    if (!this.service) {
+      return null;
+    }
+    const message = this.service.reportBusy(title, options);
+    this.messages.add(message);
+    return {
+      setTitle: (newTitle) => message.setTitle(newTitle),
+      dispose: () => {
+        this.messages.delete(message);
+        message.dispose();
+      },
+    };
+  }
+
+  didBeginLinting({ number, linter, filePath }) {
+    if (!this.service) {
+      return;
+    }
+    let runs = this.runs.get(linter);
+    if (!runs) {
+      runs = new Map();
+      this.runs.set(linter, runs);
+    }
+    const title = filePath
+      ? `${linter.name}: linting ${path.basename(filePath)}`
+      : `${linter.name}: linting`;
+    const run = { message: null };
+    run.timer = setTimeout(() => {
+      run.message = this.reportBusy(title);
+    }, BUSY_DELAY_MS);
+    runs.set(number, run);
+  }
+
+  didFinishLinting({ number, linter }) {
+    const runs = this.runs.get(linter);
+    const run = runs ? runs.get(number) : null;
+    if (!run) {
+      return;
+    }
+    clearTimeout(run.timer);
+    if (run.message) {
+      run.message.dispose();
+    }
+    runs.delete(number);
+    if (!runs.size) {
+      this.runs.delete(linter);
+    }
+  }
+
+  clear() {
+    for (const runs of this.runs.values()) {
+      for (const run of runs.values()) {
+        clearTimeout(run.timer);
+      }
+    }
+    this.runs.clear();
+    for (const message of this.messages) {
+      message.dispose();
+    }
+    this.messages.clear();
+  }
+
+  dispose() {
+    this.clear();
+    this.service = null;
+  }
+}
+
+module.exports = BusySignal;
@@ -0,0 +1,68 @@
+const { Point, Range } = require("atom");
+
+// Translates a point through the changes of one buffer change event. Their old
+// ranges refer to the text before the event and their new ranges to the text after
+// it. Returns null for points inside replaced text.
+function translateThroughChanges(point, changes) {
+  let translated = point;
+  for (const { oldRange, newRange } of changes) {
+    if (point.isLessThanOrEqual(oldRange.start)) {
+      break;
+    }
+    if (point.isLessThan(oldRange.end)) {
+      return null;
+    }
+    translated =
+      point.row === oldRange.end.row
+        ? new Point(newRange.end.row, newRange.end.column + point.column - oldRange.end.column)
+        : new Point(point.row + newRange.end.row - oldRange.end.row, point.column);
+  }
+  return translated;
+}
+
+/**
+ * Change Tracker
+ * Records the changes made to a buffer while a provider runs, so that positions
+ * of its results can be translated to the current text.
+ */
+class ChangeTracker {
+  constructor(buffer) {
+    this.events = [];
+    this.subscription = buffer.onDidChange(({ changes }) => {
+      this.events.push(changes);
+    });
+  }
+
+  hasChanges() {
+    return this.events.length > 0;
+  }
+
+  /**
+   * @returns {Point|null} Point in the current text, null if its text was replaced
+   */
+  translatePoint(point) {
+    let translated = point;
+    for (const changes of this.events) {
+      translated = translateThroughChanges(translated, changes);
+      if (translated === null) {
+        return null;
+      }
+    }
+    return translated;
+  }
+
+  /**
+   * @returns {Range|null} Range in the current text, null if an end was in replaced text
+   */
+  translateRange(range) {
+    const start = this.translatePoint(range.start);
+    const end = range.isEmpty() ? start : this.translatePoint(range.end);
+    return start && end ? new Range(start, end) : null;
+  }
+
+  dispose() {
+    this.subscription.dispose();
+  }
+}
+
+module.exports = ChangeTracker;
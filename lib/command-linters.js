@@ -0,0 +1,276 @@
+const path = require("path");
+const { CompositeDisposable } = require("atom");
+const { ProblemMatcher, createMessage, FIELDS } = require("./problem-matcher");
+const { spawnShell, killShell } = require("./shell");
+
+// Exit codes of a shell that could not find or execute the command
+const SHELL_ERROR_CODES = [126, 127];
+
+// Quotes a path for the shell running the command
+function quote(value) {
+  if (process.platform === "win32") {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+// Reads a dot-separated key path; a `*` key flattens the array it meets
+function select(value, keyPath) {
+  let values = [value];
+  for (const key of keyPath ? keyPath.split(".") : []) {
+    const next = [];
+    for (const entry of values) {
+      if (entry === null || typeof entry !== "object") {
+        continue;
+      }
+      if (key === "*") {
+        if (Array.isArray(entry)) {
+          next.push(...entry);
+        }
+      } else if (entry[key] !== undefined) {
+        next.push(entry[key]);
+      }
+    }
+    values = next;
+  }
+  return values;
+}
+
+function parseJson(output, spec, options) {
+  if (!output.trim()) {
+    return [];
+  }
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch (error) {
+    throw new Error(`Invalid JSON output: ${error.message}`);
+  }
+  const items = select(data, spec.results).flatMap((value) =>
+    Array.isArray(value) ? value : [value],
+  );
+  const messages = [];
+  for (const item of items) {
+    const fields = {};
+    for (const field of FIELDS) {
+      if (typeof spec[field] === "string") {
+        [fields[field]] = select(item, spec[field]);
+      }
+    }
+    const message = createMessage(fields, options);
+    if (message) {
+      messages.push(message);
+    }
+  }
+  return messages;
+}
+
+function parseLines(output, matcher) {
+  const messages = [];
+  for (const line of output.split(/\r?\n/)) {
+    const message = matcher.match(line);
+    if (message) {
+      messages.push(message);
+    }
+  }
+  return messages;
+}
+
+/**
+ * Creates a linter provider running a command-line tool.
+ * @param {Object} entry - Entry of the `commandLinters` setting
+ * @param {string|null} root - Project root of the entry, null for global entries
+ * @returns {Object} Linter provider
+ */
+function createProvider(entry, root) {
+  const { name, command, grammarScopes } = entry;
+  if (typeof name !== "string" || typeof command !== "string" || !Array.isArray(grammarScopes)) {
+    throw new Error("A command linter needs a `name`, a `command` and `grammarScopes`");
+  }
+  if (!entry.matcher && !entry.json) {
+    throw new Error(`Command linter ${name} needs a \`matcher\` or a \`json\` output parser`);
+  }
+  // Checked before the first run, to report invalid regular expressions right away
+  if (entry.matcher) {
+    new ProblemMatcher(entry.matcher, {});
+  }
+  const stdin = Boolean(entry.stdin);
+  // Without stdin the tool reads the saved file, its positions would not match unsaved text
+  if (entry.lintsOnChange && !stdin) {
+    throw new Error(`Command linter ${name} needs \`stdin\` to lint on change`);
+  }
+  const severity = entry.severity || "error";
+
+  function lint(editor, { signal }) {
+    const filePath = editor.getPath();
+    if (root && filePath && !filePath.startsWith(root + path.sep)) {
+      return Promise.resolve([]);
+    }
+    const cwd = root || (filePath ? path.dirname(filePath) : atom.project.getPaths()[0]);
+    const text = stdin ? editor.getText() : null;
+    const commandLine = command.replace(/\{file\}/g, filePath ? quote(filePath) : "");
+    const options = { cwd, severity, file: filePath || "" };
+    return new Promise((resolve, reject) => {
+      const child = spawnShell(commandLine, { cwd, env: process.env });
+      let stdout = "";
+      let stderr = "";
+      const onAbort = () => killShell(child);
+      signal.addEventListener("abort", onAbort, { once: true });
+      child.stdout.setEncoding("utf8");
+      child.stderr.setEncoding("utf8");
+      child.stdout.on("data", (chunk) => {
+        stdout += chunk;
+      });
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+      });
+      // Tools exiting before reading their input close stdin early
+      child.stdin.on("error", () => {});
+      child.on("error", (error) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      });
+      child.on("close", (code) => {
+        signal.removeEventListener("abort", onAbort);
+        if (signal.aborted) {
+          resolve(null);
+          return;
+        }
+        if (SHELL_ERROR_CODES.includes(code)) {
+          reject(new Error(`\`${commandLine}\` exited with code ${code}\n${stderr.trim()}`));
+          return;
+        }
+        try {
+          resolve(
+            entry.json
+              ? parseJson(stdout, entry.json, options)
+              : parseLines(`${stdout}\n${stderr}`, new ProblemMatcher(entry.matcher, options)),
+          );
+        } catch (error) {
+          reject(error);
+        }
+      });
+      child.stdin.end(text === null ? undefined : text);
+    });
+  }
+
+  const provider = {
+    name,
+    scope: "file",
+    grammarScopes,
+    lintsOnChange: Boolean(entry.lintsOnChange),
+    // Untitled buffers can only be linted through stdin
+    lintsUntitled: stdin && !command.includes("{file}"),
+    lint,
+  };
+  if (entry.timeout > 0) {
+    provider.timeout = entry.timeout;
+  }
+  return provider;
+}
+
+/**
+ * Command Linters
+ * Registers the linter providers declared by the `commandLinters` setting and,
+ * once allowed, by project configuration files. They are registered again when
+ * either changes.
+ */
+class CommandLinters {
+  /**
+   * @param {Object} options
+   * @param {Function} options.addLinter - Registers a linter provider
+   * @param {Function} options.deleteLinter - Removes a linter provider
+   * @param {ProjectConfig} options.projectConfig - Source of the project entries
+   */
+  constructor({ addLinter, deleteLinter, projectConfig }) {
+    this.addLinter = addLinter;
+    this.deleteLinter = deleteLinter;
+    this.projectConfig = projectConfig;
+    this.providers = [];
+    this.signature = null;
+    // Project files whose entries were reported as not allowed
+    this.reportedFiles = new Set();
+    this.subscriptions = new CompositeDisposable();
+    this.subscriptions.add(
+      atom.config.observe("linter-bundle.commandLinters", () => this.update()),
+      atom.config.onDidChange("linter-bundle.allowProjectCommandLinters", () => this.update()),
+      projectConfig.onDidChange(() => this.update()),
+    );
+  }
+
+  // Project entries run commands from the repository, so they need the user's consent
+  getEntries() {
+    const entries = [];
+    const allowProject = atom.config.get("linter-bundle.allowProjectCommandLinters");
+    for (const root of atom.project.getPaths()) {
+      const config = this.projectConfig.configs.get(root);
+      const projectEntries = config && config.settings.commandLinters;
+      if (!Array.isArray(projectEntries) || !projectEntries.length) {
+        continue;
+      }
+      if (allowProject) {
+        entries.push(...projectEntries.map((entry) => ({ entry, root })));
+      } else if (!this.reportedFiles.has(config.filePath)) {
+        this.reportedFiles.add(config.filePath);
+        const notification = atom.notifications.addWarning(
+          "[Linter] Command linters of the project are not allowed",
+          {
+            detail: `${config.filePath} declares command linters, which run commands of the project.`,
+            dismissable: true,
+            buttons: [
+              {
+                text: "Allow",
+                onDidClick: () => {
+                  atom.config.set("linter-bundle.allowProjectCommandLinters", true);
+                  notification.dismiss();
+                },
+              },
+            ],
+          },
+        );
+      }
+    }
+    const globalEntries = atom.config.get("linter-bundle.commandLinters") || [];
+    entries.push(...globalEntries.map((entry) => ({ entry, root: null })));
+    return entries;
+  }
+
+  update() {
+    const entries = this.getEntries();
+    // Registering again drops the messages of the providers, only do it on changes
+    const signature = JSON.stringify(entries);
+    if (signature === this.signature) {
+      return;
+    }
+    this.signature = signature;
+    this.clear();
+    for (const { entry, root } of entries) {
+      let provider;
+      try {
+        provider = createProvider(entry, root);
+      } catch (error) {
+        atom.notifications.addWarning("[Linter] Invalid command linter", {
+          detail: error.message,
+          dismissable: true,
+        });
+        continue;
+      }
+      this.providers.push(provider);
+      this.addLinter(provider);
+    }
+  }
+
+  clear() {
+    for (const provider of this.providers) {
+      this.deleteLinter(provider);
+    }
+    this.providers = [];
+  }
+
+  dispose() {
+    this.clear();
+    this.subscriptions.dispose();
+  }
+}
+
+module.exports = CommandLinters;
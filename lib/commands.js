@@ -1,20 +1,9 @@
-const { CompositeDisposable, Emitter } = require("atom");
+const { CompositeDisposable, Directory, Emitter } = require("atom");
 const Helpers = require("./helpers");
+const ProviderIssues = require("./provider-issues");
 
 let manifest;
 
-function formatItem(item) {
-  let itemName;
-  if (item && typeof item === "object" && typeof item.name === "string") {
-    itemName = item.name;
-  } else if (typeof item === "string") {
-    itemName = item;
-  } else {
-    throw new Error("Unknown object passed to formatItem()");
-  }
-  return `  - ${itemName}`;
-}
-
 function sortByName(item1, item2) {
   return item1.name.localeCompare(item2.name);
 }
@@ -27,6 +16,12 @@ class Commands {
       this.emitter,
       atom.commands.add("atom-workspace", {
         "linter-bundle:lint": () => this.lint(),
+        "linter-bundle:lint-project": () => this.lintProject(),
+        "linter-bundle:create-baseline": () => this.createBaseline(),
+        "linter-bundle:show-ignored": () => this.showIgnored(),
+        "linter-bundle:import-report": () => this.importReport(),
+        "linter-bundle:run-task": () => this.runTask(),
+        "linter-bundle:show-stats": () => this.showStats(),
         "linter-bundle:debug": () => this.debug(),
         "linter-bundle:state": () => this.toggleActiveEditor(),
         "linter-bundle:toggle-current-file": () => this.toggleActiveEditor(),
@@ -39,6 +34,30 @@ class Commands {
     this.emitter.emit("should-lint");
   }
 
+  lintProject() {
+    this.emitter.emit("should-lint-project");
+  }
+
+  createBaseline() {
+    this.emitter.emit("should-create-baseline");
+  }
+
+  showIgnored() {
+    this.emitter.emit("should-show-ignored");
+  }
+
+  importReport() {
+    this.emitter.emit("should-import-report");
+  }
+
+  runTask() {
+    this.emitter.emit("should-run-task");
+  }
+
+  showStats() {
+    this.emitter.emit("should-show-stats");
+  }
+
   debug() {
     this.emitter.emit("should-debug");
   }
@@ -55,6 +74,30 @@ class Commands {
     return this.emitter.on("should-lint", callback);
   }
 
+  onShouldLintProject(callback) {
+    return this.emitter.on("should-lint-project", callback);
+  }
+
+  onShouldCreateBaseline(callback) {
+    return this.emitter.on("should-create-baseline", callback);
+  }
+
+  onShouldShowIgnored(callback) {
+    return this.emitter.on("should-show-ignored", callback);
+  }
+
+  onShouldImportReport(callback) {
+    return this.emitter.on("should-import-report", callback);
+  }
+
+  onShouldRunTask(callback) {
+    return this.emitter.on("should-run-task", callback);
+  }
+
+  onShouldShowStats(callback) {
+    return this.emitter.on("should-show-stats", callback);
+  }
+
   onShouldDebug(callback) {
     return this.emitter.on("should-debug", callback);
   }
@@ -72,50 +115,166 @@ class Commands {
   }
 }
 
-async function showDebug(standardLinters, indieLinters, textEditor) {
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatLastRun(lastRun) {
+  if (!lastRun) {
+    return "never ran";
+  }
+  const duration = formatDuration(lastRun.duration);
+  if (lastRun.status === "ok") {
+    return `${lastRun.messageCount} messages in ${duration}`;
+  }
+  return `${lastRun.status} after ${duration}`;
+}
+
+// Explains why a provider does not run on the file, null when it does
+function getMismatchReason(linter, { hasEditor, filePath, scopes, ignored, disabledProviders }) {
+  if (disabledProviders.includes(linter.name)) {
+    return "disabled in disabledProviders";
+  }
+  if (!hasEditor) {
+    return "no file is open";
+  }
+  if (!filePath && !linter.lintsUntitled) {
+    return "the file is untitled and the provider does not set lintsUntitled";
+  }
+  if (ignored) {
+    return "the file is ignored";
+  }
+  if (!Helpers.shouldTriggerLinter(linter, false, scopes)) {
+    return "no grammar scope matches the cursor scopes";
+  }
+  return null;
+}
+
+async function isIgnoredByVCS(filePath) {
+  const repository = await atom.project.repositoryForDirectory(new Directory(filePath));
+  return Boolean(repository && repository.isPathIgnored(filePath));
+}
+
+/**
+ * Collects what decides whether providers run on the editor: providers and their
+ * matching, the ignore verdict of the file and the project configuration files.
+ * @returns {Promise<Object>} Report rendered by DebugView and formatDebugReport()
+ */
+async function getDebugReport({
+  standardLinters,
+  indieLinters,
+  textEditor,
+  projectConfig,
+  providerStats,
+}) {
   if (!manifest) {
     manifest = require("../package.json");
   }
-  if (!textEditor) {
-    return;
-  }
-  const textEditorScopes = Helpers.getEditorCursorScopes(textEditor);
-  const sortedLinters = standardLinters.slice().sort(sortByName);
-  const sortedIndieLinters = indieLinters.slice().sort(sortByName);
-  const indieLinterNames = sortedIndieLinters.map(formatItem).join("\n");
-  const standardLinterNames = sortedLinters.map(formatItem).join("\n");
-  const matchingStandardLinters = sortedLinters
-    .filter((linter) => Helpers.shouldTriggerLinter(linter, false, textEditorScopes))
-    .map(formatItem)
-    .join("\n");
-  const humanizedScopes = textEditorScopes.map(formatItem).join("\n");
-  const ignoreGlob = atom.config.get("linter-bundle.ignoreGlob");
-  const ignoreVCSIgnoredPaths = atom.config.get("core.excludeVcsIgnoredPaths");
-  const disabledLinters = atom.config
-    .get("linter-bundle.disabledProviders")
-    .map(formatItem)
-    .join("\n");
-  const filePathIgnored = await Helpers.isPathIgnored(
-    textEditor.getPath(),
+  const filePath = textEditor ? textEditor.getPath() || null : null;
+  const scopes = textEditor ? Helpers.getEditorCursorScopes(textEditor) : [];
+  const ignoreGlob = projectConfig.get("ignoreGlob", filePath);
+  const excludeVCS = atom.config.get("core.excludeVcsIgnoredPaths");
+  const ignoredByGlob = Boolean(filePath) && (await Helpers.isPathIgnored(filePath, ignoreGlob));
+  const ignoredByVCS = Boolean(filePath) && excludeVCS && (await isIgnoredByVCS(filePath));
+  const disabledProviders = projectConfig.get("disabledProviders", filePath);
+  const context = {
+    hasEditor: Boolean(textEditor),
+    filePath,
+    scopes,
+    ignored: ignoredByGlob || ignoredByVCS,
+    disabledProviders,
+  };
+  const providers = standardLinters
+    .slice()
+    .sort(sortByName)
+    .map((linter) => {
+      const reason = getMismatchReason(linter, context);
+      return {
+        name: linter.name,
+        legacy: linter[Helpers.$version] === 1,
+        scope: linter.scope,
+        grammarScopes: Array.from(linter.grammarScopes),
+        lintsOnChange: linter.lintsOnChange,
+        disabled: disabledProviders.includes(linter.name),
+        matches: reason === null,
+        reason,
+        lastRun: formatLastRun(providerStats.getLastRun(linter.name, filePath)),
+      };
+    });
+  return {
+    platform: process.platform,
+    pulsarVersion: atom.getVersion(),
+    linterVersion: manifest.version,
+    filePath,
+    scopes,
     ignoreGlob,
-    ignoreVCSIgnoredPaths,
-  );
-  atom.notifications.addInfo("Linter Debug Info", {
-    detail: [
-      `Platform: ${process.platform}`,
-      `Atom Version: ${atom.getVersion()}`,
-      `Linter Version: ${manifest.version}`,
-      `Opened file is ignored: ${filePathIgnored ? "Yes" : "No"}`,
-      `Matching Linter Providers: \n${matchingStandardLinters}`,
-      `Disabled Linter Providers: \n${disabledLinters}`,
-      `Standard Linter Providers: \n${standardLinterNames}`,
-      `Indie Linter Providers: \n${indieLinterNames}`,
-      `Ignore Glob: ${ignoreGlob}`,
-      `VCS Ignored Paths are excluded: ${ignoreVCSIgnoredPaths}`,
-      `Current File Scopes: \n${humanizedScopes}`,
-    ].join("\n"),
-    dismissable: true,
-  });
+    ignoredByGlob,
+    excludeVCS,
+    ignoredByVCS,
+    providers,
+    indieProviders: indieLinters
+      .slice()
+      .sort(sortByName)
+      .map((linter) => linter.name),
+    projectConfigs: projectConfig.getConfigs(),
+    providerIssues: ProviderIssues.getIssues(),
+  };
+}
+
+function formatDebugReport(report) {
+  const yesNo = (value) => (value ? "yes" : "no");
+  const lines = [
+    "## Linter Debug Info",
+    "",
+    `- Platform: ${report.platform}`,
+    `- Pulsar version: ${report.pulsarVersion}`,
+    `- Linter version: ${report.linterVersion}`,
+    `- File: ${report.filePath || "none"}`,
+    `- Ignore glob: \`${report.ignoreGlob}\` (matches: ${yesNo(report.ignoredByGlob)})`,
+    `- VCS ignored paths are excluded: ${yesNo(report.excludeVCS)} (ignored: ${yesNo(report.ignoredByVCS)})`,
+    `- Cursor scopes: ${report.scopes.map((scope) => `\`${scope}\``).join(", ") || "none"}`,
+    "",
+    "### Providers",
+    "",
+    "| Provider | Scope | Grammar scopes | On change | Enabled | Runs on file | Last run |",
+    "| --- | --- | --- | --- | --- | --- | --- |",
+  ];
+  for (const provider of report.providers) {
+    lines.push(
+      `| ${[
+        provider.legacy ? `${provider.name} (linter v1)` : provider.name,
+        provider.scope,
+        provider.grammarScopes.join(", "),
+        yesNo(provider.lintsOnChange),
+        yesNo(!provider.disabled),
+        provider.matches ? "yes" : `no, ${provider.reason}`,
+        provider.lastRun,
+      ].join(" | ")} |`,
+    );
+  }
+  lines.push("", "### Indie providers", "");
+  for (const name of report.indieProviders) {
+    lines.push(`- ${name}`);
+  }
+  if (!report.indieProviders.length) {
+    lines.push("- none");
+  }
+  lines.push("", "### Project configuration files", "");
+  for (const { root, filePath, settings, error } of report.projectConfigs) {
+    lines.push(`- ${root}: ${filePath} (${error ? `error: ${error}` : JSON.stringify(settings)})`);
+  }
+  if (!report.projectConfigs.length) {
+    lines.push("- none");
+  }
+  lines.push("", "### Provider issues", "");
+  for (const { linterName, issue, count, lastIndexes } of report.providerIssues) {
+    const indexes = lastIndexes.length ? `, last in entries ${lastIndexes.join(", ")}` : "";
+    lines.push(`- ${linterName}: ${issue} (${count} times${indexes})`);
+  }
+  if (!report.providerIssues.length) {
+    lines.push("- none");
+  }
+  return `${lines.join("\n")}\n`;
 }
 
-module.exports = { Commands, showDebug };
+module.exports = { Commands, getDebugReport, formatDebugReport };
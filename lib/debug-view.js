@@ -0,0 +1,176 @@
+/** @babel */
+/** @jsx etch.dom */
+
+const etch = require("etch");
+const { formatDebugReport } = require("./commands");
+
+const DEBUG_URI = "atom://linter-bundle/debug";
+
+function yesNo(value) {
+  return value ? "Yes" : "No";
+}
+
+/**
+ * Debug View
+ * Workspace item showing the report of `linter-bundle:debug`.
+ */
+class DebugView {
+  constructor({ report, onRefresh }) {
+    this.report = report;
+    this.onRefresh = onRefresh;
+    etch.initialize(this);
+  }
+
+  update({ report }) {
+    this.report = report;
+    return etch.update(this);
+  }
+
+  copyAsMarkdown() {
+    atom.clipboard.write(formatDebugReport(this.report));
+    atom.notifications.addSuccess("[Linter] Debug report copied as Markdown");
+  }
+
+  renderProvider(provider) {
+    return (
+      <tr class={provider.matches ? "" : "text-subtle"}>
+        <td>
+          {provider.name}
+          {provider.legacy ? <span class="text-subtle"> (linter v1)</span> : null}
+        </td>
+        <td>{provider.scope}</td>
+        <td>{provider.grammarScopes.join(", ")}</td>
+        <td>{yesNo(provider.lintsOnChange)}</td>
+        <td class={provider.disabled ? "text-warning" : ""}>{yesNo(!provider.disabled)}</td>
+        <td>{provider.matches ? "Yes" : `No, ${provider.reason}`}</td>
+        <td>{provider.lastRun}</td>
+      </tr>
+    );
+  }
+
+  render() {
+    const { report } = this;
+    return (
+      <div class="linter-debug native-key-bindings" tabIndex="-1">
+        <div class="linter-debug-header">
+          <h1>Linter Debug Info</h1>
+          <div class="btn-group">
+            <button class="btn icon icon-sync" on={{ click: () => this.onRefresh() }}>
+              Refresh
+            </button>
+            <button class="btn icon icon-clippy" on={{ click: () => this.copyAsMarkdown() }}>
+              Copy as Markdown
+            </button>
+          </div>
+        </div>
+        <table class="linter-debug-table">
+          <tbody>
+            <tr>
+              <th>Platform</th>
+              <td>{report.platform}</td>
+            </tr>
+            <tr>
+              <th>Pulsar version</th>
+              <td>{report.pulsarVersion}</td>
+            </tr>
+            <tr>
+              <th>Linter version</th>
+              <td>{report.linterVersion}</td>
+            </tr>
+            <tr>
+              <th>File</th>
+              <td>{report.filePath || "None"}</td>
+            </tr>
+            <tr>
+              <th>Ignore glob</th>
+              <td>
+                <code>{report.ignoreGlob}</code> matches the file: {yesNo(report.ignoredByGlob)}
+              </td>
+            </tr>
+            <tr>
+              <th>VCS ignored paths</th>
+              <td>
+                Excluded: {yesNo(report.excludeVCS)}, file is ignored: {yesNo(report.ignoredByVCS)}
+              </td>
+            </tr>
+            <tr>
+              <th>Cursor scopes</th>
+              <td>{report.scopes.join(", ") || "None"}</td>
+            </tr>
+          </tbody>
+        </table>
+        <h2>Providers</h2>
+        <table class="linter-debug-table">
+          <thead>
+            <tr>
+              <th>Provider</th>
+              <th>Scope</th>
+              <th>Grammar scopes</th>
+              <th>On change</th>
+              <th>Enabled</th>
+              <th>Runs on file</th>
+              <th>Last run</th>
+            </tr>
+          </thead>
+          <tbody>{report.providers.map((provider) => this.renderProvider(provider))}</tbody>
+        </table>
+        <h2>Indie providers</h2>
+        <ul>
+          {report.indieProviders.length ? (
+            report.indieProviders.map((name) => <li>{name}</li>)
+          ) : (
+            <li class="text-subtle">None</li>
+          )}
+        </ul>
+        <h2>Project configuration files</h2>
+        <ul>
+          {report.projectConfigs.length ? (
+            report.projectConfigs.map(({ root, filePath, settings, error }) => (
+              <li>
+                {root}: <code>{filePath}</code>{" "}
+                {error ? (
+                  <span class="text-error">{error}</span>
+                ) : (
+                  <code>{JSON.stringify(settings)}</code>
+                )}
+              </li>
+            ))
+          ) : (
+            <li class="text-subtle">None</li>
+          )}
+        </ul>
+        <h2>Provider issues</h2>
+        <ul>
+          {report.providerIssues.length ? (
+            report.providerIssues.map(({ linterName, issue, count, lastIndexes }) => (
+              <li>
+                {linterName}: <span class="text-warning">{issue}</span> ({count} times
+                {lastIndexes.length ? `, last in entries ${lastIndexes.join(", ")}` : ""})
+              </li>
+            ))
+          ) : (
+            <li class="text-subtle">None</li>
+          )}
+        </ul>
+      </div>
+    );
+  }
+
+  getTitle() {
+    return "Linter Debug";
+  }
+
+  getIconName() {
+    return "bug";
+  }
+
+  getURI() {
+    return DEBUG_URI;
+  }
+
+  destroy() {
+    etch.destroy(this);
+  }
+}
+
+module.exports = { DebugView, DEBUG_URI };
@@ -6,7 +6,7 @@ const DEBOUNCE_SAVE_MS = 50;
 const DEBOUNCE_CHANGE_DEFAULT_MS = 300;
 
 class EditorLinter {
-  constructor(editor) {
+  constructor(editor, projectConfig) {
     this.emitter = new Emitter();
     this.subscriptions = new CompositeDisposable();
     if (!atom.workspace.isTextEditor(editor)) {
@@ -14,15 +14,18 @@ class EditorLinter {
     }
     const editorBuffer = editor.getBuffer();
     this.editor = editor;
+    this.projectConfig = projectConfig;
 
     // Store reference to current debounced change handler for proper cleanup
     this.currentDebouncedChangeHandler = null;
     // Store current buffer change subscription for proper disposal
     this.currentBufferChangeSubscription = null;
+    // Observation of the change interval for the current path of the editor
+    this.intervalSubscription = null;
 
     // Initialize debounced change handler with default interval
     const initialInterval =
-      atom.config.get("linter-bundle.lintOnChangeInterval") || DEBOUNCE_CHANGE_DEFAULT_MS;
+      projectConfig.get("lintOnChangeInterval", editor.getPath()) || DEBOUNCE_CHANGE_DEFAULT_MS;
     this.currentDebouncedChangeHandler = debounce(() => {
       this.emitter.emit("should-lint", true);
     }, initialInterval);
@@ -42,7 +45,21 @@ class EditorLinter {
       this.editor.onDidDestroy(() => this.dispose()),
       this.editor.onDidSave(debouncedLint),
       editorBuffer.onDidReload(debouncedLint),
-      atom.config.observe("linter-bundle.lintOnChangeInterval", (interval) => {
+      // Saving an untitled buffer or renaming a file can move it to another project
+      this.editor.onDidChangePath(() => this.observeInterval()),
+    );
+    this.observeInterval();
+  }
+
+  observeInterval() {
+    if (this.intervalSubscription) {
+      this.intervalSubscription.dispose();
+    }
+    const editorBuffer = this.editor.getBuffer();
+    this.intervalSubscription = this.projectConfig.observe(
+      "lintOnChangeInterval",
+      this.editor.getPath(),
+      (interval) => {
         // Cancel any pending debounced calls from previous handler
         if (this.currentDebouncedChangeHandler) {
           this.currentDebouncedChangeHandler.cancel();
@@ -59,7 +76,7 @@ class EditorLinter {
         this.currentBufferChangeSubscription = editorBuffer.onDidChange(
           this.currentDebouncedChangeHandler,
         );
-      }),
+      },
     );
   }
 
@@ -91,6 +108,10 @@ class EditorLinter {
       this.currentBufferChangeSubscription.dispose();
       this.currentBufferChangeSubscription = null;
     }
+    if (this.intervalSubscription) {
+      this.intervalSubscription.dispose();
+      this.intervalSubscription = null;
+    }
     this.subscriptions.dispose();
     this.emitter.dispose();
   }
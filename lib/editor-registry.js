@@ -2,8 +2,9 @@ const { Emitter, CompositeDisposable } = require("atom");
 const EditorLinter = require("./editor-linter");
 
 class EditorRegistry {
-  constructor() {
+  constructor(projectConfig) {
     this.emitter = new Emitter();
+    this.projectConfig = projectConfig;
     this.lintOnOpen = true;
     this.subscriptions = new CompositeDisposable();
     this.editorLinters = new Map();
@@ -49,7 +50,7 @@ class EditorRegistry {
     if (editorLinter) {
       return editorLinter;
     }
-    editorLinter = new EditorLinter(textEditor);
+    editorLinter = new EditorLinter(textEditor, this.projectConfig);
     editorLinter.onDidDestroy(() => {
       this.editorLinters.delete(textEditor);
     });
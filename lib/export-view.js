@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+const { CompositeDisposable, Emitter } = require("atom");
+const { SelectListView, highlightMatches, createTwoLineItem } = require("@asiloisad/select-list");
+const { EXPORT_FORMATS, serializeMessages } = require("./export");
+
+/**
+ * Export View
+ * Picks the format of `linter-bundle:export-messages`, then asks for the path to
+ * save the messages to.
+ */
+class ExportView {
+  constructor(messages) {
+    this.emitter = new Emitter();
+    this.subscriptions = new CompositeDisposable();
+    this.messages = messages;
+    this.selectList = new SelectListView({
+      className: "linter-bundle export-view",
+      emptyMessage: "No export formats",
+      filterKeyForItem: (item) => item.title,
+      willShow: () => {
+        this.selectList.update({ items: EXPORT_FORMATS });
+      },
+      elementForItem: (item, { filterKey, matchIndices }) => {
+        return createTwoLineItem({
+          primary: highlightMatches(filterKey, matchIndices),
+          secondary: `.${item.extension}`,
+          icon: ["icon-file"],
+        });
+      },
+      didConfirmSelection: (item) => {
+        this.selectList.hide();
+        this.save(item);
+      },
+      didCancelSelection: () => {
+        this.selectList.hide();
+      },
+    });
+    this.subscriptions.add(this.emitter);
+  }
+
+  async save(format) {
+    const [projectPath] = atom.project.getPaths();
+    const filePath = atom.showSaveDialogSync({
+      defaultPath: path.join(projectPath || "", `linter-messages.${format.extension}`),
+    });
+    if (!filePath) {
+      return;
+    }
+    try {
+      await fs.promises.writeFile(filePath, serializeMessages(this.messages, format.name));
+      atom.notifications.addSuccess(
+        `[Linter] Exported ${this.messages.length} messages as ${format.title}`,
+        { detail: filePath },
+      );
+    } catch (error) {
+      atom.notifications.addError("[Linter] Failed to export messages", {
+        detail: error.message,
+      });
+    }
+  }
+
+  show() {
+    this.selectList.show();
+  }
+
+  onDidDispose(callback) {
+    return this.emitter.on("did-dispose", callback);
+  }
+
+  dispose() {
+    this.emitter.emit("did-dispose");
+    this.subscriptions.dispose();
+    this.selectList.destroy();
+  }
+}
+
+module.exports = ExportView;
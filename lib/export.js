@@ -0,0 +1,164 @@
+const { pathToFileURL } = require("url");
+const { formatMessage, getMessageRule } = require("./helpers");
+
+const EXPORT_FORMATS = [
+  { name: "sarif", title: "SARIF 2.1", extension: "sarif" },
+  { name: "json", title: "JSON", extension: "json" },
+  { name: "csv", title: "CSV", extension: "csv" },
+  { name: "checkstyle", title: "Checkstyle XML", extension: "xml" },
+];
+
+const SARIF_LEVEL = { error: "error", warning: "warning", info: "note" };
+
+// Exported positions are 1-based, like in the tools producing these formats
+function getRegion(message) {
+  const { start, end } = message.location.position;
+  return {
+    startLine: start.row + 1,
+    startColumn: start.column + 1,
+    endLine: end.row + 1,
+    endColumn: end.column + 1,
+  };
+}
+
+function toSarif(messages) {
+  const runs = new Map();
+  for (const message of messages) {
+    let run = runs.get(message.linterName);
+    if (!run) {
+      run = { tool: { driver: { name: message.linterName, rules: [] } }, results: [] };
+      runs.set(message.linterName, run);
+    }
+    const rule = getMessageRule(message);
+    const result = {
+      level: SARIF_LEVEL[message.severity],
+      message: { text: message.excerpt },
+    };
+    if (rule !== null) {
+      result.ruleId = rule;
+      if (!run.tool.driver.rules.some((entry) => entry.id === rule)) {
+        run.tool.driver.rules.push(message.url ? { id: rule, helpUri: message.url } : { id: rule });
+      }
+    }
+    // Messages of untitled buffers have no artifact to point to
+    if (message.location.file) {
+      result.locations = [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: pathToFileURL(message.location.file).href },
+            region: getRegion(message),
+          },
+        },
+      ];
+    }
+    run.results.push(result);
+  }
+  return JSON.stringify(
+    {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: Array.from(runs.values()),
+    },
+    null,
+    2,
+  );
+}
+
+function toJson(messages) {
+  const entries = messages.map((message) => ({
+    ...formatMessage(message),
+    rule: getMessageRule(message),
+  }));
+  return JSON.stringify(entries, null, 2);
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(messages) {
+  const rows = [
+    [
+      "file",
+      "line",
+      "column",
+      "endLine",
+      "endColumn",
+      "severity",
+      "linter",
+      "rule",
+      "excerpt",
+      "url",
+    ],
+  ];
+  for (const message of messages) {
+    const { startLine, startColumn, endLine, endColumn } = getRegion(message);
+    rows.push([
+      message.location.file,
+      startLine,
+      startColumn,
+      endLine,
+      endColumn,
+      message.severity,
+      message.linterName,
+      getMessageRule(message),
+      message.excerpt,
+      message.url,
+    ]);
+  }
+  return rows.map((row) => row.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toCheckstyle(messages) {
+  const files = new Map();
+  for (const message of messages) {
+    const file = message.location.file;
+    if (!files.has(file)) {
+      files.set(file, []);
+    }
+    files.get(file).push(message);
+  }
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+  for (const [file, fileMessages] of files) {
+    lines.push(`  <file name="${escapeXml(file)}">`);
+    for (const message of fileMessages) {
+      const { startLine, startColumn } = getRegion(message);
+      const rule = getMessageRule(message);
+      const source = rule !== null ? `${message.linterName}.${rule}` : message.linterName;
+      lines.push(
+        `    <error line="${startLine}" column="${startColumn}" severity="${message.severity}" ` +
+          `message="${escapeXml(message.excerpt)}" source="${escapeXml(source)}"/>`,
+      );
+    }
+    lines.push("  </file>");
+  }
+  lines.push("</checkstyle>");
+  return lines.join("\n") + "\n";
+}
+
+const SERIALIZERS = { sarif: toSarif, json: toJson, csv: toCsv, checkstyle: toCheckstyle };
+
+/**
+ * Serializes linter messages to an export format.
+ * @param {Array<Object>} messages - Linter messages
+ * @param {string} format - One of the `EXPORT_FORMATS` names
+ * @returns {string} File contents
+ */
+function serializeMessages(messages, format) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return serialize(messages);
+}
+
+module.exports = { EXPORT_FORMATS, serializeMessages };
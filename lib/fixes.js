@@ -0,0 +1,129 @@
+const { Range } = require("atom");
+
+/**
+ * Checks whether a message carries any solutions.
+ * @param {Object} message - Linter message
+ * @returns {boolean}
+ */
+function hasSolutions(message) {
+  const { solutions } = message;
+  if (Array.isArray(solutions)) {
+    return solutions.length > 0;
+  }
+  return typeof solutions === "function" || solutions instanceof Promise;
+}
+
+/**
+ * Resolves the solutions of a message, which may be an Array, a Promise or a
+ * function returning either. Results are cached back on the message and sorted
+ * by descending priority.
+ * @param {Object} message - Linter message
+ * @returns {Promise<Array>}
+ */
+async function getSolutions(message) {
+  let { solutions } = message;
+  if (typeof solutions === "function") {
+    solutions = solutions();
+  }
+  solutions = await solutions;
+  if (!Array.isArray(solutions)) {
+    return [];
+  }
+  for (const solution of solutions) {
+    if (!(solution.position instanceof Range)) {
+      solution.position = Range.fromObject(solution.position);
+    }
+  }
+  solutions.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  message.solutions = solutions;
+  return solutions;
+}
+
+/**
+ * Applies a single solution to the given text editor.
+ * @param {TextEditor} textEditor - Editor holding the buffer the solution targets
+ * @param {Object} solution - Solution with either `apply` or `replaceWith`
+ * @returns {Promise<boolean>} True if the solution was applied
+ */
+async function applySolution(textEditor, solution) {
+  if (typeof solution.apply === "function") {
+    await solution.apply();
+    return true;
+  }
+  if (typeof solution.replaceWith !== "string") {
+    return false;
+  }
+  const buffer = textEditor.getBuffer();
+  if (
+    typeof solution.currentText === "string" &&
+    buffer.getTextInRange(solution.position) !== solution.currentText
+  ) {
+    atom.notifications.addWarning("[Linter] Fix is outdated", {
+      detail: "The text this fix applies to has changed since the file was linted.",
+      dismissable: true,
+    });
+    return false;
+  }
+  textEditor.setTextInBufferRange(solution.position, solution.replaceWith);
+  return true;
+}
+
+/**
+ * Applies the best `replaceWith` solution of every message in a single undo
+ * transaction. Solutions overlapping an earlier one or whose `currentText` no
+ * longer matches are skipped, as are messages whose solutions cannot be resolved;
+ * `apply` callbacks cannot be batched and are ignored.
+ * @param {TextBuffer} buffer - Buffer the messages belong to
+ * @param {Array} messages - Messages with solutions
+ * @returns {Promise<{applied: number, skipped: number}>}
+ */
+async function applySolutionsInBuffer(buffer, messages) {
+  const edits = [];
+  let skipped = 0;
+  for (const message of messages) {
+    let solutions;
+    try {
+      solutions = await getSolutions(message);
+    } catch (error) {
+      // A provider failing to resolve its solutions only loses the fix of that message
+      console.error("[Linter] Failed to resolve solutions", error);
+      skipped++;
+      continue;
+    }
+    const solution = solutions.find((entry) => typeof entry.replaceWith === "string");
+    if (!solution) {
+      skipped++;
+      continue;
+    }
+    edits.push(solution);
+  }
+  edits.sort((a, b) => a.position.compare(b.position));
+
+  const accepted = [];
+  for (const edit of edits) {
+    const last = accepted[accepted.length - 1];
+    if (
+      (last &&
+        (edit.position.start.isLessThan(last.position.end) ||
+          edit.position.start.isEqual(last.position.start))) ||
+      (typeof edit.currentText === "string" &&
+        buffer.getTextInRange(edit.position) !== edit.currentText)
+    ) {
+      skipped++;
+      continue;
+    }
+    accepted.push(edit);
+  }
+
+  if (accepted.length) {
+    buffer.transact(() => {
+      // Apply bottom-up so earlier ranges stay valid
+      for (let i = accepted.length - 1; i >= 0; i--) {
+        buffer.setTextInRange(accepted[i].position, accepted[i].replaceWith);
+      }
+    });
+  }
+  return { applied: accepted.length, skipped };
+}
+
+module.exports = { hasSolutions, getSolutions, applySolution, applySolutionsInBuffer };
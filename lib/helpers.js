@@ -1,5 +1,8 @@
+const path = require("path");
 const arrayUnique = require("lodash/uniq");
 const { Directory, Range, Point } = require("atom");
+const { applySeverityRules } = require("./severity-rules");
+const { convertLegacyMessage } = require("./legacy");
 
 const $version = "__$sb_linter_version";
 const $activated = "__$sb_linter_activated";
@@ -77,29 +80,197 @@ function updateMessageKey(message) {
     typeof message.description === "string"
       ? `$DESCRIPTION:${message.description}`
       : "$DESCRIPTION:null",
+    message.stale ? "$STALE" : "",
   ].join("");
 }
 
-function normalizeMessages(linterName, messages) {
+/**
+ * Returns the rule a message was reported for. Uses `ruleId` when the provider
+ * sets one, otherwise the last path segment of the documentation `url`.
+ */
+function getMessageRule(message) {
+  if (typeof message.ruleId === "string") {
+    return message.ruleId;
+  }
+  if (typeof message.url !== "string") {
+    return null;
+  }
+  const segment = message.url.split(/[?#]/)[0].replace(/\/+$/, "").split("/").pop();
+  return segment ? segment.replace(/\.html?$/, "") : null;
+}
+
+/**
+ * Returns a location-insensitive fingerprint of a message: provider, rule and
+ * excerpt, with whitespace normalized. Numbers are normalized too so that shifted
+ * line or column references in the text still match, unless `keepNumbers` is set
+ * to tell apart messages naming different identifiers, e.g. `x1` and `x2`.
+ * @param {Object} message - Linter message
+ * @param {Object} [options]
+ * @param {boolean} [options.keepNumbers] - Keep the numbers of the excerpt
+ * @returns {string}
+ */
+function getMessageFingerprint(message, { keepNumbers = false } = {}) {
+  let excerpt = String(message.excerpt);
+  if (!keepNumbers) {
+    excerpt = excerpt.replace(/\d+/g, "#");
+  }
+  excerpt = excerpt.replace(/\s+/g, " ").trim();
+  return [message.linterName, getMessageRule(message) || "", excerpt].join("|");
+}
+
+// Converts a column counted in UTF-8 bytes or code points to UTF-16 code units.
+// Columns past the end of the line keep their overflow, to be clamped for display.
+function convertColumn(line, column, columnEncoding) {
+  let units = 0;
+  let counted = 0;
+  while (units < line.length && counted < column) {
+    const codePoint = line.codePointAt(units);
+    if (columnEncoding === "utf8") {
+      counted += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    } else {
+      counted++;
+    }
+    units += codePoint > 0xffff ? 2 : 1;
+  }
+  return units + Math.max(0, column - counted);
+}
+
+function convertPoint(lines, point, columnEncoding) {
+  const line = lines[point.row];
+  if (line === undefined) {
+    return point;
+  }
+  return new Point(point.row, convertColumn(line, point.column, columnEncoding));
+}
+
+function convertRange(lines, range, columnEncoding) {
+  return new Range(
+    convertPoint(lines, range.start, columnEncoding),
+    convertPoint(lines, range.end, columnEncoding),
+  );
+}
+
+/**
+ * Normalizes messages received from a provider in place. Messages hidden by
+ * severity rules are removed from the array.
+ * @param {string} linterName - Name of the provider
+ * @param {Array} messages - Messages received from the provider
+ * @param {Object} [options]
+ * @param {number} [options.version] - Linter API version of the provider, messages of
+ *   linter v1 providers are converted to linter v2 first
+ * @param {string} [options.columnEncoding] - `utf8`, `utf16` or `codepoint`, how the
+ *   provider counts columns; positions in `buffer` are converted to UTF-16
+ * @param {TextBuffer} [options.buffer] - Buffer that was linted
+ * @param {Array<string>} [options.lines] - Lines of the buffer when the provider ran,
+ *   its current lines by default
+ */
+function normalizeMessages(
+  linterName,
+  messages,
+  { version = 2, columnEncoding = "utf16", buffer = null, lines = null } = {},
+) {
+  // Linter v1 messages without a `filePath` belong to the linted buffer
+  const legacyFile = version === 1 && buffer ? buffer.getPath() || "" : "";
+  const convertible = Boolean(buffer) && columnEncoding !== "utf16";
+  const bufferPath = convertible ? buffer.getPath() : null;
+  const bufferLines = convertible ? lines || buffer.getLines() : null;
+  // Untitled buffers have no path, their messages are attached to the buffer instead
+  const isInBuffer = (location) =>
+    convertible &&
+    (location.buffer
+      ? location.buffer === buffer
+      : Boolean(bufferPath) && location.file === bufferPath);
+  let kept = 0;
   for (let i = 0, { length } = messages; i < length; ++i) {
-    const message = messages[i];
+    let message = messages[i];
+    if (version === 1) {
+      message = convertLegacyMessage(message, legacyFile);
+      if (!message.location.file && buffer) {
+        message.location.buffer = buffer;
+      }
+    }
     const { reference, solutions } = message;
+    const convert = isInBuffer(message.location);
     message.location.position = getRangeClass(message.location.position);
+    if (convert) {
+      message.location.position = convertRange(
+        bufferLines,
+        message.location.position,
+        columnEncoding,
+      );
+    }
     if (reference !== undefined && reference.position !== undefined) {
       reference.position = getPointClass(reference.position);
+      if (isInBuffer(reference)) {
+        reference.position = convertPoint(bufferLines, reference.position, columnEncoding);
+      }
     }
     if (Array.isArray(solutions)) {
       for (let j = 0, _length = solutions.length; j < _length; j++) {
         const solution = solutions[j];
         solution.position = getRangeClass(solution.position);
+        if (convert) {
+          solution.position = convertRange(bufferLines, solution.position, columnEncoding);
+        }
       }
     }
     message.version = 2;
     if (!message.linterName) {
       message.linterName = linterName;
     }
+    if (!applySeverityRules(message, getMessageRule(message))) {
+      continue;
+    }
     updateMessageKey(message);
+    messages[kept++] = message;
   }
+  messages.length = kept;
+}
+
+// Characters extending a zero-width range to the word around it
+const WORD_CHARACTER = /[\w$]/;
+
+/**
+ * Returns the range to decorate for a message position, repaired against the
+ * buffer: out-of-range rows and columns are clamped and zero-width ranges are
+ * widened to the word (or character) at that point.
+ * @param {TextBuffer} buffer - Buffer the message belongs to
+ * @param {Range} position - Position reported by the provider
+ * @returns {{range: Range, clamped: boolean}}
+ */
+function getDisplayRange(buffer, position) {
+  const { start, end } = position;
+  // A range from the line end to the next line start marks the entire line
+  if (
+    start.row < buffer.getLineCount() &&
+    start.column >= buffer.lineLengthForRow(start.row) &&
+    end.row === start.row + 1 &&
+    end.column === 0
+  ) {
+    const lineLength = buffer.lineLengthForRow(start.row);
+    return { range: new Range([start.row, 0], [start.row, lineLength]), clamped: false };
+  }
+  let range = buffer.clipRange(position);
+  const clamped = !range.isEqual(position);
+  if (range.isEmpty()) {
+    const { row, column } = range.start;
+    const line = buffer.lineForRow(row);
+    let wordStart = column;
+    let wordEnd = column;
+    while (wordStart > 0 && WORD_CHARACTER.test(line[wordStart - 1])) {
+      wordStart--;
+    }
+    while (wordEnd < line.length && WORD_CHARACTER.test(line[wordEnd])) {
+      wordEnd++;
+    }
+    if (wordStart === wordEnd && line.length) {
+      // Not on a word: take the character at the point, or the last one at the line end
+      wordStart = Math.min(column, line.length - 1);
+      wordEnd = wordStart + 1;
+    }
+    range = new Range([row, wordStart], [row, wordEnd]);
+  }
+  return { range, clamped };
 }
 
 function getPointClass(point) {
@@ -196,6 +367,57 @@ function scrollToCursorWithMode(editor, scroll) {
   }
 }
 
+/**
+ * Formats a linter message as plain data, for the MCP tool and exports.
+ * @param {Object} msg - Linter message
+ * @returns {Object} Formatted message
+ */
+function formatMessage(msg) {
+  const position = msg.location?.position;
+  return {
+    severity: msg.severity,
+    excerpt: msg.excerpt,
+    linterName: msg.linterName,
+    file: msg.location?.file || null,
+    range: position
+      ? {
+          start: { row: position.start?.row, column: position.start?.column },
+          end: { row: position.end?.row, column: position.end?.column },
+        }
+      : null,
+    url: msg.url || null,
+  };
+}
+
+// Converts a relative path to the `/` separators stored in project files
+function toPosix(filePath) {
+  return process.platform === "win32" ? filePath.replace(/\\/g, "/") : filePath;
+}
+
+/**
+ * Calls back when a file of one of the names is created, changed, deleted or
+ * renamed at the root of a project folder.
+ * @param {Array<string>} fileNames - Names of the watched files
+ * @param {Function} callback - Called with no arguments
+ * @returns {Disposable}
+ */
+function onDidChangeRootFiles(fileNames, callback) {
+  return atom.project.onDidChangeFiles((events) => {
+    const roots = atom.project.getPaths();
+    const touchesFile = events.some((event) =>
+      [event.path, event.oldPath].some(
+        (filePath) =>
+          filePath &&
+          fileNames.includes(path.basename(filePath)) &&
+          roots.includes(path.dirname(filePath)),
+      ),
+    );
+    if (touchesFile) {
+      callback();
+    }
+  });
+}
+
 module.exports = {
   $version,
   $activated,
@@ -205,7 +427,13 @@ module.exports = {
   getEditorCursorScopes,
   isPathIgnored,
   updateMessageKey,
+  getMessageRule,
+  getMessageFingerprint,
+  formatMessage,
+  toPosix,
+  onDidChangeRootFiles,
   normalizeMessages,
+  getDisplayRange,
   updateKeys,
   createKeyMessageMap,
   flagMessages,
@@ -0,0 +1,209 @@
+const fs = require("fs");
+const path = require("path");
+const { Emitter, CompositeDisposable } = require("atom");
+const { getMessageFingerprint, toPosix, onDidChangeRootFiles } = require("./helpers");
+
+const IGNORE_FILE_NAME = ".linter-bundle-ignore.json";
+const IGNORE_VERSION = 1;
+
+function getKey(root, entry) {
+  return `${root}\0${entry.file}\0${entry.fingerprint}`;
+}
+
+// Line an entry was ignored at, entries written by hand may leave it out
+function getLine(entry) {
+  return Number.isInteger(entry.line) ? entry.line : 1;
+}
+
+function isSameEntry(a, b) {
+  return a.file === b.file && a.fingerprint === b.fingerprint && getLine(a) === getLine(b);
+}
+
+/**
+ * Ignore List
+ * Keeps the messages ignored from the panel or the bubble in
+ * `.linter-bundle-ignore.json` at each project root. Entries match messages by
+ * project-relative path and fingerprint, so they survive re-linting and edits.
+ * Each entry hides a single message, so new occurrences of an ignored message
+ * still show.
+ */
+class IgnoreList {
+  constructor() {
+    this.emitter = new Emitter();
+    // Map of project root to { filePath, entries, error }
+    this.lists = new Map();
+    // Map of root, file and fingerprint to the entries ignoring such messages
+    this.entriesByKey = new Map();
+    this.subscriptions = new CompositeDisposable();
+    this.subscriptions.add(
+      this.emitter,
+      atom.project.onDidChangePaths(() => this.reload()),
+      onDidChangeRootFiles([IGNORE_FILE_NAME], () => this.reload()),
+    );
+    this.reload();
+  }
+
+  reload() {
+    this.lists.clear();
+    this.entriesByKey.clear();
+    for (const root of atom.project.getPaths()) {
+      const filePath = path.join(root, IGNORE_FILE_NAME);
+      if (!fs.existsSync(filePath)) {
+        continue;
+      }
+      try {
+        const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        if (!content || !Array.isArray(content.ignored)) {
+          throw new Error("The ignore list must have an `ignored` array");
+        }
+        this.lists.set(root, { filePath, entries: content.ignored, error: null });
+        for (const entry of content.ignored) {
+          const key = getKey(root, entry);
+          if (!this.entriesByKey.has(key)) {
+            this.entriesByKey.set(key, []);
+          }
+          this.entriesByKey.get(key).push(entry);
+        }
+      } catch (error) {
+        this.lists.set(root, { filePath, entries: [], error: error.message });
+        atom.notifications.addWarning("[Linter] Invalid ignore list", {
+          detail: `${filePath}\n${error.message}`,
+          dismissable: true,
+        });
+      }
+    }
+    this.emitter.emit("did-change");
+  }
+
+  // Returns the project root and the entry a message would be stored as
+  getEntry(message) {
+    if (!message.location.file) {
+      return null;
+    }
+    const [root, relativePath] = atom.project.relativizePath(message.location.file);
+    if (!root) {
+      return null;
+    }
+    return {
+      root,
+      entry: {
+        file: toPosix(relativePath),
+        linterName: message.linterName,
+        excerpt: message.excerpt,
+        // Numbers are kept, they often tell apart identifiers like `x1` and `x2`
+        fingerprint: getMessageFingerprint(message, { keepNumbers: true }),
+        line: message.location.position.start.row + 1,
+      },
+    };
+  }
+
+  /**
+   * Returns the ignored messages. Each entry hides one message of its file with
+   * the same fingerprint, the one closest to the line it was ignored at.
+   * @param {Array} messages - Linter messages
+   * @returns {Set} Ignored messages
+   */
+  match(messages) {
+    const ignored = new Set();
+    if (!this.entriesByKey.size) {
+      return ignored;
+    }
+    const candidatesByKey = new Map();
+    for (const message of messages) {
+      const result = this.getEntry(message);
+      const key = result ? getKey(result.root, result.entry) : null;
+      if (!key || !this.entriesByKey.has(key)) {
+        continue;
+      }
+      if (!candidatesByKey.has(key)) {
+        candidatesByKey.set(key, []);
+      }
+      candidatesByKey.get(key).push({ message, line: result.entry.line });
+    }
+    for (const [key, candidates] of candidatesByKey) {
+      for (const entry of this.entriesByKey.get(key)) {
+        const line = getLine(entry);
+        let closest = null;
+        for (const candidate of candidates) {
+          if (
+            !ignored.has(candidate.message) &&
+            (!closest || Math.abs(candidate.line - line) < Math.abs(closest.line - line))
+          ) {
+            closest = candidate;
+          }
+        }
+        if (!closest) {
+          break;
+        }
+        ignored.add(closest.message);
+      }
+    }
+    return ignored;
+  }
+
+  /**
+   * Adds a message to the ignore list of its project.
+   * @param {Object} message - Linter message
+   * @returns {Promise<boolean>} False when the message is outside of the project
+   */
+  async ignore(message) {
+    const result = this.getEntry(message);
+    if (!result) {
+      return false;
+    }
+    const { root, entry } = result;
+    const list = this.lists.get(root);
+    const entries = list && !list.error ? list.entries : [];
+    // A second entry for the same message would also hide its next occurrence
+    if (entries.some((other) => isSameEntry(other, entry))) {
+      return true;
+    }
+    await this.write(root, entries.concat(entry));
+    return true;
+  }
+
+  /**
+   * Removes an entry returned by getEntries() from its ignore list.
+   * @param {Object} entry - Entry with its `root`
+   */
+  async unignore({ root, ...removed }) {
+    const list = this.lists.get(root);
+    const index = list ? list.entries.findIndex((entry) => isSameEntry(entry, removed)) : -1;
+    if (index === -1) {
+      return;
+    }
+    await this.write(
+      root,
+      list.entries.filter((_, entryIndex) => entryIndex !== index),
+    );
+  }
+
+  async write(root, entries) {
+    const filePath = path.join(root, IGNORE_FILE_NAME);
+    const content = { version: IGNORE_VERSION, ignored: entries };
+    await fs.promises.writeFile(filePath, `${JSON.stringify(content, null, 2)}\n`);
+    this.reload();
+  }
+
+  getEntries() {
+    const entries = [];
+    for (const [root, list] of this.lists) {
+      for (const entry of list.entries) {
+        entries.push({ root, ...entry });
+      }
+    }
+    return entries;
+  }
+
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  dispose() {
+    this.subscriptions.dispose();
+    this.lists.clear();
+    this.entriesByKey.clear();
+  }
+}
+
+module.exports = IgnoreList;
@@ -0,0 +1,69 @@
+const path = require("path");
+const { CompositeDisposable, Emitter } = require("atom");
+const { SelectListView, highlightMatches, createTwoLineItem } = require("@asiloisad/select-list");
+
+class IgnoreView {
+  constructor(ignoreList) {
+    this.emitter = new Emitter();
+    this.subscriptions = new CompositeDisposable();
+    this.ignoreList = ignoreList;
+    this.selectList = new SelectListView({
+      className: "linter-bundle ignore-view",
+      emptyMessage: "No ignored messages",
+      filterKeyForItem: (item) => item.excerpt,
+      willShow: () => {
+        this.update();
+      },
+      elementForItem: (item, { filterKey, matchIndices }) => {
+        const multiProject = atom.project.getPaths().length > 1;
+        let file = multiProject ? `${path.basename(item.root)}/${item.file}` : item.file;
+        if (Number.isInteger(item.line)) {
+          file += `:${item.line}`;
+        }
+        return createTwoLineItem({
+          primary: highlightMatches(filterKey, matchIndices),
+          secondary: `${item.linterName} · ${file}`,
+          icon: ["icon-eye"],
+        });
+      },
+      didConfirmSelection: async (item) => {
+        const index = this.selectList.selectionIndex;
+        try {
+          await this.ignoreList.unignore(item);
+        } catch (error) {
+          atom.notifications.addError("[Linter] Failed to write the ignore list", {
+            detail: error.message,
+            dismissable: true,
+          });
+          return;
+        }
+        this.update();
+        this.selectList.selectIndex(Math.min(index, this.selectList.items.length - 1));
+      },
+      didCancelSelection: () => {
+        this.selectList.hide();
+      },
+    });
+    this.subscriptions.add(this.emitter);
+  }
+
+  update() {
+    this.selectList.update({ items: this.ignoreList.getEntries() });
+  }
+
+  show() {
+    this.selectList.show();
+  }
+
+  onDidDispose(callback) {
+    return this.emitter.on("did-dispose", callback);
+  }
+
+  dispose() {
+    this.emitter.emit("did-dispose");
+    this.subscriptions.dispose();
+    this.selectList.destroy();
+  }
+}
+
+module.exports = IgnoreView;
@@ -18,6 +18,11 @@ class IndieDelegate {
     return this.indie.name;
   }
 
+  // Identity of the delegate in the message registry, the name is only displayed
+  get id() {
+    return typeof this.indie.id === "string" ? this.indie.id : this.indie.name;
+  }
+
   getMessages() {
     const out = [];
     this.messages.forEach((m) => {
@@ -44,7 +49,7 @@ class IndieDelegate {
     if (typeof filePath !== "string" || !Array.isArray(messages)) {
       throw new Error("Invalid Parameters to setMessages()");
     }
-    if (this.subscriptions.disposed || !Validate.messages(this.name, messages)) {
+    if (this.subscriptions.disposed || !Validate.result(this.name, messages, true)) {
       return;
     }
     messages.forEach(function (message) {
@@ -62,10 +67,8 @@ class IndieDelegate {
     if (this.subscriptions.disposed) {
       return;
     }
-    if (!Array.isArray(messages) || atom.inDevMode()) {
-      if (!Validate.messages(this.name, messages)) {
-        return;
-      }
+    if (!Validate.result(this.name, messages)) {
+      return;
     }
     normalizeMessages(this.name, messages);
     this.messages.clear();
@@ -0,0 +1,81 @@
+// Linter v1 message types are free text, the common ones map to a severity
+const LEGACY_SEVERITIES = { error: "error", warning: "warning", info: "info", trace: "info" };
+
+function stripHtml(html) {
+  return html
+    .replace(/<[^>]*>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function getLegacySeverity(message) {
+  if (LEGACY_SEVERITIES[message.severity]) {
+    return LEGACY_SEVERITIES[message.severity];
+  }
+  const type = typeof message.type === "string" ? message.type.toLowerCase() : "";
+  return LEGACY_SEVERITIES[type] || "info";
+}
+
+/**
+ * Converts a linter v1 message (`type`, `text` or `html`, `filePath`, `range`,
+ * `fix` and `trace`) to a linter v2 message.
+ * @param {Object} message - Linter v1 message
+ * @param {string|null} filePath - File linted by the provider, for messages without one
+ * @returns {Object} Linter v2 message
+ */
+function convertLegacyMessage(message, filePath) {
+  const html = typeof message.html === "string" ? message.html : null;
+  const converted = {
+    severity: getLegacySeverity(message),
+    excerpt: typeof message.text === "string" ? message.text : stripHtml(html || ""),
+    location: {
+      file: message.filePath || filePath,
+      position: message.range || [
+        [0, 0],
+        [0, 0],
+      ],
+    },
+  };
+  if (html !== null && typeof message.text === "string") {
+    converted.description = html;
+  }
+  if (message.fix && message.fix.range) {
+    const solution = { position: message.fix.range, replaceWith: message.fix.newText || "" };
+    if (typeof message.fix.oldText === "string") {
+      solution.currentText = message.fix.oldText;
+    }
+    converted.solutions = [solution];
+  }
+  // v1 traces list related locations, v2 keeps a single reference
+  const trace = Array.isArray(message.trace) ? message.trace.find((entry) => entry.filePath) : null;
+  if (trace) {
+    converted.reference = { file: trace.filePath };
+    if (trace.range) {
+      converted.reference.position = Array.isArray(trace.range)
+        ? trace.range[0]
+        : trace.range.start;
+    }
+  }
+  return converted;
+}
+
+/**
+ * Wraps a linter v1 provider into a linter v2 one. `lintOnFly` becomes
+ * `lintsOnChange`; the results are converted by `normalizeMessages`.
+ * @param {Object} linter - Linter v1 provider
+ * @returns {Object} Linter v2 provider
+ */
+function wrapLegacyLinter(linter) {
+  return {
+    name: typeof linter.name === "string" ? linter.name : "Unnamed linter v1",
+    scope: linter.scope,
+    grammarScopes: linter.grammarScopes,
+    lintsOnChange: Boolean(linter.lintsOnChange ?? linter.lintOnFly),
+    lint: (textEditor) => linter.lint(textEditor),
+  };
+}
+
+module.exports = { convertLegacyMessage, wrapLegacyLinter };
@@ -0,0 +1,78 @@
+// Default number of provider runs allowed to execute at the same time
+const DEFAULT_MAX_CONCURRENT = 4;
+
+/**
+ * Lint Scheduler
+ * Limits how many provider runs execute at once. Queued runs start by priority,
+ * oldest first on ties, and a queued run is dropped when a newer one with the
+ * same key is scheduled.
+ */
+class LintScheduler {
+  constructor() {
+    this.maxConcurrent = DEFAULT_MAX_CONCURRENT;
+    this.running = 0;
+    // Map preserves insertion order, which is used as FIFO order for equal priorities
+    this.queue = new Map();
+    this.configDisposable = atom.config.observe("linter-bundle.maxConcurrentLints", (value) => {
+      this.maxConcurrent = typeof value === "number" ? value : DEFAULT_MAX_CONCURRENT;
+      this.drain();
+    });
+  }
+
+  /**
+   * Schedules a run.
+   * @param {string} key - Identifies runs that make each other redundant
+   * @param {Function} getPriority - Returns the current priority, higher runs first
+   * @param {Function} run - Starts the run and returns a Promise
+   * @returns {Promise<boolean>} Resolves when the run finished, false if it was dropped
+   */
+  schedule(key, getPriority, run) {
+    const previous = this.queue.get(key);
+    if (previous) {
+      this.queue.delete(key);
+      previous.resolve(false);
+    }
+    return new Promise((resolve) => {
+      this.queue.set(key, { getPriority, run, resolve });
+      this.drain();
+    });
+  }
+
+  hasCapacity() {
+    return this.maxConcurrent <= 0 || this.running < this.maxConcurrent;
+  }
+
+  drain() {
+    while (this.queue.size && this.hasCapacity()) {
+      // Priorities are evaluated now, so they follow the active and visible editors
+      let nextKey = null;
+      let nextPriority = -Infinity;
+      for (const [key, job] of this.queue) {
+        const priority = job.getPriority();
+        if (priority > nextPriority) {
+          nextKey = key;
+          nextPriority = priority;
+        }
+      }
+      const job = this.queue.get(nextKey);
+      this.queue.delete(nextKey);
+      this.running++;
+      const done = () => {
+        this.running--;
+        job.resolve(true);
+        this.drain();
+      };
+      new Promise((resolve) => resolve(job.run())).then(done, done);
+    }
+  }
+
+  dispose() {
+    this.configDisposable.dispose();
+    for (const job of this.queue.values()) {
+      job.resolve(false);
+    }
+    this.queue.clear();
+  }
+}
+
+module.exports = LintScheduler;
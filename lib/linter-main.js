@@ -4,20 +4,89 @@ const IndieRegistry = require("./indie-registry");
 const MessageRegistry = require("./message-registry");
 const LinterRegistry = require("./linter-registry");
 const EditorsRegistry = require("./editor-registry");
-const { Commands, showDebug } = require("./commands");
+const { Commands, getDebugReport } = require("./commands");
+const { DebugView } = require("./debug-view");
 const ToggleView = require("./toggle-view");
+const ProjectLinter = require("./project-linter");
+const ProgressView = require("./progress-view");
+const ProjectConfig = require("./project-config");
+const SeverityRules = require("./severity-rules");
+const Baseline = require("./baseline");
+const IgnoreList = require("./ignore-list");
+const IgnoreView = require("./ignore-view");
+const ProviderStats = require("./provider-stats");
+const { StatsView, STATS_URI } = require("./stats-view");
+const BusySignal = require("./busy-signal");
+const ReportImporter = require("./report-importer");
+const TaskRunner = require("./task-runner");
+const TaskView = require("./task-view");
+const CommandLinters = require("./command-linters");
 
 class Linter {
   constructor() {
     this.commands = new Commands();
+    this.projectConfig = new ProjectConfig();
+    this.baseline = new Baseline();
+    this.ignoreList = new IgnoreList();
+    this.providerStats = new ProviderStats();
+    this.busySignal = new BusySignal();
+    this.reportImporter = new ReportImporter((indie) => this.addIndie(indie));
+    this.taskRunner = new TaskRunner({
+      registerIndie: (indie) => this.addIndie(indie),
+      projectConfig: this.projectConfig,
+      busySignal: this.busySignal,
+    });
     this.subscriptions = new CompositeDisposable();
     this.idleCallbacks = new Set();
     this.itemAdapters = new Set();
     // UI render callback - will be set by index.js
     this.uiRenderCallback = null;
     this.uiLintingStateCallback = null;
+    this.uiBeginLintingCallback = null;
+    this.uiFinishLintingCallback = null;
+    // Messages handed to the UI by the last render
+    this.renderedMessages = new Set();
 
-    this.subscriptions.add(this.commands);
+    this.subscriptions.add(
+      this.commands,
+      this.projectConfig,
+      this.baseline,
+      this.ignoreList,
+      this.providerStats,
+      this.busySignal,
+      this.reportImporter,
+      this.taskRunner,
+      atom.workspace.addOpener((uri) => {
+        if (uri === STATS_URI) {
+          return new StatsView(this.providerStats);
+        }
+      }),
+      // Re-render the current messages when the baseline, its mode or the ignore list change
+      this.baseline.onDidChange(() => this.renderMessages()),
+      this.ignoreList.onDidChange(() => this.renderMessages()),
+      this.projectConfig.onDidChange(() => {
+        if (this.registryEditors) {
+          this.registryEditors.lintEditors();
+        }
+      }),
+      atom.config.onDidChange("linter-bundle.severityRules", () => {
+        if (this.registryEditors) {
+          this.registryEditors.lintEditors();
+        }
+      }),
+      atom.config.observe("linter-bundle.severityRules", (severityRules) => {
+        SeverityRules.setGlobalRules(severityRules);
+      }),
+    );
+    SeverityRules.setProjectRulesProvider(
+      (filePath) => this.projectConfig.getSettings(filePath).severityRules,
+    );
+    this.commandLinters = new CommandLinters({
+      addLinter: (linter) => this.addLinter(linter),
+      deleteLinter: (linter) => this.deleteLinter(linter),
+      projectConfig: this.projectConfig,
+    });
+    this.subscriptions.add(this.commandLinters);
 
     this.commands.onShouldLint(() => {
       this.registryEditorsInit();
@@ -49,14 +118,42 @@ class Linter {
       }
     });
 
-    this.commands.onShouldDebug(async () => {
-      this.registryIndieInit();
-      this.registryLintersInit();
-      await showDebug(
-        this.registryLinters.getProviders(),
-        this.registryIndie.getProviders(),
-        this.getActiveTextEditor(),
-      );
+    this.commands.onShouldLintProject(() => {
+      this.lintProject();
+    });
+
+    this.commands.onShouldCreateBaseline(() => {
+      this.createBaseline();
+    });
+
+    this.commands.onShouldShowIgnored(() => {
+      const ignoreView = new IgnoreView(this.ignoreList);
+      ignoreView.onDidDispose(() => {
+        this.subscriptions.remove(ignoreView);
+      });
+      ignoreView.show();
+      this.subscriptions.add(ignoreView);
+    });
+
+    this.commands.onShouldImportReport(() => {
+      this.importReport();
+    });
+
+    this.commands.onShouldRunTask(() => {
+      const taskView = new TaskView(this.taskRunner);
+      taskView.onDidDispose(() => {
+        this.subscriptions.remove(taskView);
+      });
+      taskView.show();
+      this.subscriptions.add(taskView);
+    });
+
+    this.commands.onShouldShowStats(() => {
+      atom.workspace.open(STATS_URI, { searchAllPanes: true });
+    });
+
+    this.commands.onShouldDebug(() => {
+      this.showDebug();
     });
 
     this.commands.onShouldToggleLinter(() => {
@@ -104,6 +201,10 @@ class Linter {
   dispose() {
     this.idleCallbacks.forEach((callbackID) => window.cancelIdleCallback(callbackID));
     this.idleCallbacks.clear();
+    if (this.projectLinter) {
+      this.projectLinter.dispose();
+    }
+    SeverityRules.setProjectRulesProvider(null);
     this.subscriptions.dispose();
   }
 
@@ -116,6 +217,15 @@ class Linter {
     this.uiLintingStateCallback = callback;
   }
 
+  // Set callbacks forwarding the begin and finish of provider runs to the UI
+  setUIBeginLintingCallback(callback) {
+    this.uiBeginLintingCallback = callback;
+  }
+
+  setUIFinishLintingCallback(callback) {
+    this.uiFinishLintingCallback = callback;
+  }
+
   isTextEditorLintingDisabled(textEditor) {
     if (!textEditor || !this.registryEditors) {
       return false;
@@ -169,11 +279,16 @@ class Linter {
     if (this.registryEditors !== undefined) {
       return;
     }
-    this.registryEditors = new EditorsRegistry();
+    this.registryEditors = new EditorsRegistry(this.projectConfig);
     this.subscriptions.add(this.registryEditors);
     this.registryEditors.observe((editorLinter) => {
       const filePath = editorLinter.getEditor().getPath?.();
       if (filePath) {
+        // Results of a project-wide lint are superseded by linting the opened editor
+        if (this.registryEditors.shouldLintOnOpen()) {
+          this.registryMessagesInit();
+          this.registryMessages.deleteByFilePath(filePath);
+        }
         this.registryIndieInit();
         for (const delegate of this.registryIndie.getProviders()) {
           if (delegate.deleteOnOpen) {
@@ -202,11 +317,24 @@ class Linter {
     if (this.registryLinters !== undefined) {
       return;
     }
-    this.registryLinters = new LinterRegistry();
+    this.registryLinters = new LinterRegistry(this.projectConfig);
     this.subscriptions.add(this.registryLinters);
-    this.registryLinters.onDidUpdateMessages(({ linter, messages, buffer }) => {
+    this.registryLinters.onDidUpdateMessages(({ linter, messages, buffer, filePath }) => {
       this.registryMessagesInit();
-      this.registryMessages.set({ linter, messages, buffer });
+      this.registryMessages.set({ linter, messages, buffer, filePath });
+    });
+    this.registryLinters.onDidBeginLinting((event) => {
+      this.busySignal.didBeginLinting(event);
+      if (this.uiBeginLintingCallback) {
+        this.uiBeginLintingCallback(event);
+      }
+    });
+    this.registryLinters.onDidFinishLinting((event) => {
+      this.providerStats.record(event);
+      this.busySignal.didFinishLinting(event);
+      if (this.uiFinishLintingCallback) {
+        this.uiFinishLintingCallback(event);
+      }
     });
   }
 
@@ -246,17 +374,189 @@ class Linter {
     }
     this.registryMessages = new MessageRegistry();
     this.subscriptions.add(this.registryMessages);
-    this.registryMessages.onDidUpdateMessages((difference) => {
-      // Direct call to UI render callback
-      if (this.uiRenderCallback) {
-        this.uiRenderCallback(difference);
+    this.registryMessages.onDidUpdateMessages(() => {
+      this.renderMessages();
+    });
+  }
+
+  // Direct call to UI render callback with the messages that are not ignored, leaving
+  // out or flagging baselined ones. The difference is computed against the last render,
+  // so changes of the ignore list or the baseline also apply to messages already shown.
+  renderMessages() {
+    if (!this.uiRenderCallback || !this.registryMessages) {
+      return;
+    }
+    const { mode } = this.baseline;
+    const ignored = this.ignoreList.match(this.registryMessages.messages);
+    const messages = this.registryMessages.messages.filter((message) => !ignored.has(message));
+    const baselined = mode === "off" ? new Set() : this.baseline.match(messages);
+    const difference = { added: [], removed: [], messages: [] };
+    for (const message of messages) {
+      const isBaselined = baselined.has(message);
+      const wasBaselined = Boolean(message.baselined);
+      message.baselined = isBaselined;
+      if (isBaselined && mode === "hide") {
+        continue;
+      }
+      difference.messages.push(message);
+      if (!this.renderedMessages.has(message)) {
+        difference.added.push(message);
+      } else if (wasBaselined !== isBaselined) {
+        // Re-add to redraw the message with its new decoration
+        difference.removed.push(message);
+        difference.added.push(message);
       }
+    }
+    const rendered = new Set(difference.messages);
+    for (const message of this.renderedMessages) {
+      if (!rendered.has(message)) {
+        difference.removed.push(message);
+      }
+    }
+    this.renderedMessages = rendered;
+    if (difference.added.length || difference.removed.length) {
+      this.uiRenderCallback(difference);
+    }
+  }
+
+  // Imports a SARIF or Checkstyle report picked by the user, offering to follow its changes
+  async importReport() {
+    const [reportPath] =
+      atom.showOpenDialogSync({
+        properties: ["openFile"],
+        filters: [{ name: "SARIF or Checkstyle reports", extensions: ["sarif", "json", "xml"] }],
+      }) || [];
+    if (!reportPath) {
+      return;
+    }
+    const count = await this.reportImporter.import(reportPath);
+    if (count === null) {
+      return;
+    }
+    if (this.uiProjectViewCallback) {
+      this.uiProjectViewCallback();
+    }
+    if (this.reportImporter.isWatched(reportPath)) {
+      atom.notifications.addSuccess(`[Linter] Imported ${count} messages`, { detail: reportPath });
+      return;
+    }
+    const notification = atom.notifications.addSuccess(`[Linter] Imported ${count} messages`, {
+      detail: reportPath,
+      dismissable: true,
+      buttons: [
+        {
+          text: "Reload on change",
+          onDidClick: () => {
+            this.reportImporter.watch(reportPath);
+            notification.dismiss();
+          },
+        },
+      ],
     });
   }
 
-  addLinter(linter) {
+  // Opens the debug report of the active editor, or refreshes the one already open
+  async showDebug() {
+    this.registryIndieInit();
     this.registryLintersInit();
-    if (!this.registryLinters.addLinter(linter)) {
+    let textEditor = this.getActiveTextEditor();
+    // Refreshing from the report pane reports on the editor it was opened for
+    if (!textEditor && this.debugTextEditor && this.debugTextEditor.isAlive()) {
+      textEditor = this.debugTextEditor;
+    }
+    this.debugTextEditor = textEditor;
+    const report = await getDebugReport({
+      standardLinters: this.registryLinters.getProviders(),
+      indieLinters: this.registryIndie.getProviders(),
+      textEditor,
+      projectConfig: this.projectConfig,
+      providerStats: this.providerStats,
+    });
+    if (this.debugView && atom.workspace.paneForItem(this.debugView)) {
+      await this.debugView.update({ report });
+    } else {
+      this.debugView = new DebugView({ report, onRefresh: () => this.showDebug() });
+    }
+    await atom.workspace.open(this.debugView, { searchAllPanes: true });
+  }
+
+  async ignoreMessage(message) {
+    try {
+      if (!(await this.ignoreList.ignore(message))) {
+        atom.notifications.addWarning("[Linter] Only messages of project files can be ignored");
+      }
+    } catch (error) {
+      atom.notifications.addError("[Linter] Failed to write the ignore list", {
+        detail: error.message,
+        dismissable: true,
+      });
+    }
+  }
+
+  async createBaseline() {
+    if (!atom.project.getPaths().length) {
+      atom.notifications.addWarning("[Linter] Open a project folder to create a baseline");
+      return;
+    }
+    this.registryMessagesInit();
+    try {
+      const { count, filePaths } = await this.baseline.write(this.registryMessages.messages);
+      if (!filePaths.length) {
+        atom.notifications.addInfo("[Linter] No messages to record in a baseline");
+        return;
+      }
+      atom.notifications.addSuccess(`[Linter] Baseline created with ${count} messages`, {
+        detail: filePaths.join("\n"),
+      });
+    } catch (error) {
+      atom.notifications.addError("[Linter] Failed to write the baseline", {
+        detail: error.message,
+        dismissable: true,
+      });
+    }
+  }
+
+  async lintProject() {
+    if (this.projectLinter) {
+      atom.notifications.addInfo("[Linter] The project is already being linted");
+      return;
+    }
+    this.registryEditorsInit();
+    this.registryLintersInit();
+    const projectLinter = new ProjectLinter(this.registryLinters, this.registryEditors);
+    const progressView = new ProgressView({
+      title: "Linting project",
+      onCancel: () => projectLinter.cancel(),
+    });
+    const busyMessage = this.busySignal.reportBusy("Linting project");
+    const updateProgress = ({ done = 0, total }) => {
+      progressView.update(done, total);
+      busyMessage?.setTitle(`Linting project (${done}/${total})`);
+    };
+    projectLinter.onDidBegin(updateProgress);
+    projectLinter.onDidProgress(updateProgress);
+    this.projectLinter = projectLinter;
+    if (this.uiProjectViewCallback) {
+      this.uiProjectViewCallback();
+    }
+    try {
+      const { done, total, cancelled } = await projectLinter.lint();
+      if (cancelled) {
+        atom.notifications.addInfo(
+          `[Linter] Project lint cancelled after ${done} of ${total} files`,
+        );
+      }
+    } finally {
+      progressView.destroy();
+      busyMessage?.dispose();
+      projectLinter.dispose();
+      this.projectLinter = null;
+    }
+  }
+
+  addLinter(linter, version) {
+    this.registryLintersInit();
+    if (!this.registryLinters.addLinter(linter, version)) {
       return;
     }
     if (this.registryEditors?.shouldLintOnOpen()) {
@@ -271,11 +571,25 @@ class Linter {
     this.registryMessages.deleteByLinter(linter);
   }
 
+  consumeBusySignal(service) {
+    return this.busySignal.setService(service);
+  }
+
   addIndie(indie) {
     this.registryIndieInit();
     return this.registryIndie.register(indie, 2);
   }
 
+  // Re-lint a buffer after it was edited from the UI, e.g. by applying a fix.
+  // Save-only providers would read stale contents of a modified buffer.
+  lintTextEditor(textEditor) {
+    this.registryEditorsInit();
+    const editorLinter = this.registryEditors.get(textEditor);
+    if (editorLinter) {
+      editorLinter.lint(textEditor.isModified());
+    }
+  }
+
   deleteMessage(message) {
     this.registryMessagesInit();
     this.registryMessages.deleteMessage(message);
@@ -3,6 +3,7 @@
 
 const etch = require("etch");
 const path = require("path");
+const { hasSolutions } = require("./fixes");
 
 // Static maps to avoid repeated string operations in render loop
 const SEVERITY_TEXT = { error: "Error", warning: "Warning", info: "Info" };
@@ -34,6 +35,9 @@ class LinterPanel {
     this._contextRow = null;
     // Track keyboard-focused row index for panel navigation
     this._focusedRowIndex = -1;
+    // Labels of untitled buffers shown in project mode
+    this._untitledLabels = new WeakMap();
+    this._untitledCount = 0;
     // Bind row click handler once for event delegation
     this._onRowClick = this._onRowClick.bind(this);
     this._onRowMiddleClick = this._onRowMiddleClick.bind(this);
@@ -59,6 +63,9 @@ class LinterPanel {
     this._disposables = atom.commands.add(this.element, {
       "linter-bundle:copy-description": () => this._copyDescription(),
       "linter-bundle:copy-details": () => this._copyDetails(),
+      "linter-bundle:fix-all-like-this": () => this._fixAllLike(false),
+      "linter-bundle:fix-all-from-provider": () => this._fixAllLike(true),
+      "linter-bundle:ignore-message": () => this._ignoreMessage(),
       "core:move-up": (e) => { e.stopPropagation(); this._moveFocusUp(); },
       "core:move-down": (e) => { e.stopPropagation(); this._moveFocusDown(); },
       "core:confirm": (e) => { e.stopPropagation(); this._confirmFocused(); },
@@ -68,6 +75,11 @@ class LinterPanel {
       ".linter-wrapper .linter-row": [
         { label: "Copy Description", command: "linter-bundle:copy-description" },
         { label: "Copy Details", command: "linter-bundle:copy-details" },
+        { type: "separator" },
+        { label: "Fix All Like This", command: "linter-bundle:fix-all-like-this" },
+        { label: "Fix All From Provider", command: "linter-bundle:fix-all-from-provider" },
+        { type: "separator" },
+        { label: "Ignore", command: "linter-bundle:ignore-message" },
       ],
     });
   }
@@ -84,6 +96,19 @@ class LinterPanel {
     return this.pkg.getCurrentMessages();
   }
 
+  /**
+   * Returns the messages listed by the panel, in their displayed order: the current
+   * view mode and sort, without the severities that are filtered out.
+   */
+  getVisibleMessages() {
+    return this._getSortedMessages(this._getMessages()).filter(
+      (message) =>
+        (this.showError || message.severity !== "error") &&
+        (this.showWarning || message.severity !== "warning") &&
+        (this.showInfo || message.severity !== "info"),
+    );
+  }
+
   /**
    * Switches between file and project view modes.
    */
@@ -125,6 +150,17 @@ class LinterPanel {
       return;
     }
 
+    // Check if clicked on fix action
+    const fix = event.target.closest(".linter-fix");
+    if (fix) {
+      event.stopPropagation();
+      const message = this._getMessageForRow(fix.closest(".linter-row"));
+      if (message) {
+        this.pkg.applyFix(message);
+      }
+      return;
+    }
+
     // Find the clicked row
     const row = event.target.closest(".linter-row");
     if (!row) return;
@@ -137,7 +173,16 @@ class LinterPanel {
     const message = sortedMessages[parseInt(rowIndex, 10)];
     if (!message) return;
 
-    if (this.viewMode === "project") {
+    if (this.viewMode === "project" && message.location.buffer) {
+      // Messages of untitled buffers are revealed in the editor holding the buffer
+      this.pkg.getTextEditorForMessage(message).then((editor) => {
+        if (!editor) return;
+        atom.workspace.open(editor, {
+          initialLine: message.location.position.start.row,
+          initialColumn: message.location.position.start.column,
+        });
+      });
+    } else if (this.viewMode === "project") {
       // In project mode, open the file and navigate to position
       atom.workspace.open(message.location.file, {
         initialLine: message.location.position.start.row,
@@ -149,6 +194,12 @@ class LinterPanel {
     }
   }
 
+  _getMessageForRow(row) {
+    if (!row || row.dataset.index === undefined) return;
+    const sortedMessages = this._getSortedMessages(this._getMessages());
+    return sortedMessages[parseInt(row.dataset.index, 10)];
+  }
+
   _onRowMiddleClick(event) {
     const row = event.target.closest(".linter-row");
     if (!row) return;
@@ -298,7 +349,7 @@ class LinterPanel {
 
   _copyDescription() {
     if (!this._contextRow) return;
-    const desc = this._contextRow.querySelector(".linter-description");
+    const desc = this._contextRow.querySelector(".linter-excerpt");
     if (desc) {
       atom.clipboard.write(desc.textContent.trim());
     }
@@ -315,12 +366,38 @@ class LinterPanel {
     atom.clipboard.write(
       JSON.stringify(
         message,
-        (k, v) => (k === "key" || k === "version" || k === "displayRange" ? undefined : v),
+        (k, v) =>
+          k === "key" || k === "version" || k === "displayRange" || k === "buffer" ? undefined : v,
         2,
       ),
     );
   }
 
+  _fixAllLike(byProvider) {
+    const message = this._getMessageForRow(this._contextRow);
+    if (!message) return;
+    this.pkg.fixAllLike(message, byProvider);
+  }
+
+  _ignoreMessage() {
+    const message = this._getMessageForRow(this._contextRow);
+    if (!message) return;
+    this.pkg.ignoreMessage(message);
+  }
+
+  /**
+   * Returns a stable "untitled-N" label for a buffer without a path.
+   */
+  _getUntitledLabel(buffer) {
+    if (!buffer) return "untitled";
+    let label = this._untitledLabels.get(buffer);
+    if (!label) {
+      label = `untitled-${++this._untitledCount}`;
+      this._untitledLabels.set(buffer, label);
+    }
+    return label;
+  }
+
   /**
    * Abbreviates a file path relative to the project root.
    */
@@ -487,9 +564,11 @@ class LinterPanel {
       const cell = message.location.cell;
       if (isProject) {
         // Project mode: show abbreviated file path + line:col
-        const abbrev = this._abbreviatePath(message.location.file);
+        const abbrev = message.location.file
+          ? this._abbreviatePath(message.location.file)
+          : this._getUntitledLabel(message.location.buffer);
         positionContent.push(
-          <span class="linter-file-path" title={message.location.file}>
+          <span class="linter-file-path" title={message.location.file || abbrev}>
             {abbrev}
           </span>,
         );
@@ -527,15 +606,34 @@ class LinterPanel {
         }
       }
 
+      // Build description cell content
+      const descriptionContent = [];
+      if (hasSolutions(message)) {
+        const solution = Array.isArray(message.solutions) ? message.solutions[0] : null;
+        descriptionContent.push(
+          <a class="linter-fix" title={solution?.title || "Apply fix"}>
+            Fix
+          </a>,
+        );
+      }
+      descriptionContent.push(
+        <div class="linter-excerpt" innerHTML={atom.ui.markdown.render(message.excerpt)} />,
+      );
+
       const item = (
         <tr
-          class={"linter-row " + message.severity}
+          class={
+            "linter-row " +
+            message.severity +
+            (message.baselined ? " baselined" : "") +
+            (message.stale ? " stale" : "")
+          }
           dataset={{ index: i, visibleIndex: visibleIndex }}
         >
           <td class={scls}>{stxt}</td>
           <td class="linter-provider">{message.linterName}</td>
           <td class="linter-position">{positionContent}</td>
-          <td class="linter-description" innerHTML={atom.ui.markdown.render(message.excerpt)} />
+          <td class="linter-description">{descriptionContent}</td>
         </tr>
       );
 
@@ -0,0 +1,143 @@
+const { Emitter } = require("atom");
+
+/**
+ * Linter Query
+ * The `linter-query` service: reads and observes the messages rendered from the
+ * message registry, leaving out ignored and hidden baselined ones, without
+ * registering a UI.
+ */
+class LinterQuery {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getTextEditorForMessage - Opens the editor of a message
+   */
+  constructor({ getTextEditorForMessage }) {
+    this.getTextEditorForMessage = getTextEditorForMessage;
+    this.emitter = new Emitter();
+    this.messages = [];
+    // Running provider runs by file path, null for project-scope providers
+    this.runningLints = new Map();
+  }
+
+  // Called by the core with the difference of each render
+  didUpdateMessages(difference) {
+    this.messages = difference.messages;
+    this.emitter.emit("did-update-messages", difference);
+  }
+
+  didBeginLinting({ number, linter, filePath }) {
+    let runs = this.runningLints.get(filePath);
+    if (!runs) {
+      runs = new Set();
+      this.runningLints.set(filePath, runs);
+    }
+    const wasLinting = runs.size > 0;
+    runs.add(`${linter.name}:${number}`);
+    if (!wasLinting) {
+      this.emitter.emit("did-change-linting-state", { file: filePath, linting: true });
+    }
+  }
+
+  didFinishLinting({ number, linter, filePath }) {
+    const runs = this.runningLints.get(filePath);
+    if (!runs || !runs.delete(`${linter.name}:${number}`) || runs.size) {
+      return;
+    }
+    this.runningLints.delete(filePath);
+    this.emitter.emit("did-change-linting-state", { file: filePath, linting: false });
+  }
+
+  /**
+   * Returns the current messages, optionally filtered.
+   * @param {Object} [filter]
+   * @param {string} [filter.file] - File path of the messages
+   * @param {string|Array<string>} [filter.severity] - Severity, or list of severities
+   * @param {string} [filter.linterName] - Name of the provider
+   * @returns {Array<Object>} Linter messages
+   */
+  getMessages({ file, severity, linterName } = {}) {
+    const severities = typeof severity === "string" ? [severity] : severity;
+    return this.messages.filter(
+      (message) =>
+        (file === undefined || message.location.file === file) &&
+        (severities === undefined || severities.includes(message.severity)) &&
+        (linterName === undefined || message.linterName === linterName),
+    );
+  }
+
+  /**
+   * Counts the current messages by severity, like the status bar does.
+   * @param {Object} [filter] - Same as for `getMessages`
+   * @returns {{error: number, warning: number, info: number}}
+   */
+  getCounts(filter) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const message of this.getMessages(filter)) {
+      if (!message.baselined) {
+        counts[message.severity]++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Opens the editor of a message and moves the cursor to its start.
+   * @param {Object} message - Linter message
+   * @returns {Promise<TextEditor|null>}
+   */
+  async revealMessage(message) {
+    const textEditor = await this.getTextEditorForMessage(message);
+    if (!textEditor) {
+      return null;
+    }
+    await atom.workspace.open(textEditor, { searchAllPanes: true });
+    textEditor.setCursorBufferPosition(message.location.position.start);
+    textEditor.scrollToCursorPosition();
+    return textEditor;
+  }
+
+  /**
+   * @param {Function} callback - Called with `{added, removed, messages}`
+   * @returns {Disposable}
+   */
+  onDidUpdateMessages(callback) {
+    return this.emitter.on("did-update-messages", callback);
+  }
+
+  /**
+   * Observes the linting state of one file.
+   * @param {string|null} file - File path, null for project-scope providers
+   * @param {Function} callback - Called with `{file, linting}` when the first run on
+   *   the file begins or the last one finishes
+   * @returns {Disposable}
+   */
+  onDidChangeLintingState(file, callback) {
+    return this.emitter.on("did-change-linting-state", (state) => {
+      if (state.file === file) {
+        callback(state);
+      }
+    });
+  }
+
+  /**
+   * Returns the service object handed to consumers.
+   * @returns {Object}
+   */
+  getService() {
+    return {
+      getMessages: (filter) => this.getMessages(filter),
+      getCounts: (filter) => this.getCounts(filter),
+      revealMessage: (message) => this.revealMessage(message),
+      onDidUpdateMessages: (callback) => this.onDidUpdateMessages(callback),
+      onDidChangeLintingState: (file, callback) => this.onDidChangeLintingState(file, callback),
+    };
+  }
+
+  dispose() {
+    this.emitter.dispose();
+    this.messages = [];
+    this.runningLints.clear();
+  }
+}
+
+module.exports = LinterQuery;
@@ -1,23 +1,79 @@
 const { Emitter, CompositeDisposable } = require("atom");
 const Helpers = require("./helpers");
 const Validate = require("./validate");
+const LintScheduler = require("./lint-scheduler");
+const ChangeTracker = require("./change-tracker");
+const ProviderIssues = require("./provider-issues");
 const { $version, $activated, $requestLatest, $requestLastReceived } = require("./helpers");
 
 // Default timeout for linter execution (30 seconds)
 const LINTER_TIMEOUT_MS = 30000;
 
-// Helper to create a timeout promise
-function createTimeoutPromise(ms, linterName) {
-  return new Promise((_, reject) => {
-    setTimeout(() => {
+// Helper to create a timeout promise that aborts the run when it fires
+function createTimeoutPromise(ms, linterName, controller) {
+  let timer;
+  const timeout = {
+    timedOut: false,
+    clear: () => clearTimeout(timer),
+  };
+  timeout.promise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      timeout.timedOut = true;
+      controller.abort();
       reject(new Error(`Linter '${linterName}' timed out after ${ms}ms`));
     }, ms);
   });
+  return timeout;
+}
+
+// Scheduling priority of a lint request: active editor first, then visible ones
+function getEditorPriority(editor) {
+  if (editor === atom.workspace.getActiveTextEditor()) {
+    return 2;
+  }
+  if (atom.workspace.getPanes().some((pane) => pane.getActiveItem() === editor)) {
+    return 1;
+  }
+  return 0;
+}
+
+// Moves the results of a run to the text edited while it ran. Positions inside
+// replaced text cannot be moved: those messages keep them and are flagged stale.
+function translateMessages(messages, tracker, buffer) {
+  const filePath = buffer.getPath();
+  const isLintedFile = (location) =>
+    location.buffer ? location.buffer === buffer : Boolean(filePath) && location.file === filePath;
+  for (const message of messages) {
+    if (!isLintedFile(message.location)) {
+      continue;
+    }
+    const position = tracker.translateRange(message.location.position);
+    if (position) {
+      message.location.position = position;
+    } else {
+      message.stale = true;
+    }
+    if (Array.isArray(message.solutions)) {
+      message.solutions = message.solutions.filter((solution) => {
+        const translated = tracker.translateRange(solution.position);
+        if (translated) {
+          solution.position = translated;
+        }
+        return translated !== null;
+      });
+    }
+    if (message.reference && message.reference.position && isLintedFile(message.reference)) {
+      message.reference.position =
+        tracker.translatePoint(message.reference.position) || message.reference.position;
+    }
+    Helpers.updateMessageKey(message);
+  }
 }
 
 class LinterRegistry {
-  constructor() {
+  constructor(projectConfig) {
     this.emitter = new Emitter();
+    this.projectConfig = projectConfig;
     this.linters = new Set();
     this.lintOnChange = true;
     this.ignoreVCS = true;
@@ -25,9 +81,16 @@ class LinterRegistry {
     this.lintPreviewTabs = true;
     this.subscriptions = new CompositeDisposable();
     this.disabledProviders = [];
+    this.lintTimeout = LINTER_TIMEOUT_MS;
+    this.providerTimeouts = new Map();
+    // Abort controllers of running lints, by linter and then by buffer (null for project scope)
+    this.runControllers = new Map();
+    this.watchedBuffers = new WeakSet();
+    this.scheduler = new LintScheduler();
     this.activeNotifications = new Set();
     this.subscriptions.add(
       this.emitter,
+      this.scheduler,
       atom.config.observe("linter-bundle.lintOnChange", (lintOnChange) => {
         this.lintOnChange = lintOnChange;
       }),
@@ -46,14 +109,84 @@ class LinterRegistry {
         }
         this.disabledProviders = disabledProviders;
       }),
+      atom.config.observe("linter-bundle.lintTimeout", (lintTimeout) => {
+        this.lintTimeout = lintTimeout || LINTER_TIMEOUT_MS;
+      }),
+      atom.config.observe("linter-bundle.providerTimeouts", (providerTimeouts) => {
+        this.providerTimeouts.clear();
+        for (const entry of providerTimeouts) {
+          // Split on the last colon, provider names may contain colons themselves
+          const index = entry.lastIndexOf(":");
+          const timeout = parseInt(entry.slice(index + 1), 10);
+          if (index > 0 && timeout > 0) {
+            this.providerTimeouts.set(entry.slice(0, index).trim(), timeout);
+          }
+        }
+      }),
     );
   }
 
+  // Project configuration files override the observed global settings per file
+  getSetting(key, filePath) {
+    const settings = this.projectConfig ? this.projectConfig.getSettings(filePath) : {};
+    return settings[key] !== undefined ? settings[key] : this[key];
+  }
+
+  getTimeout(linter) {
+    return this.providerTimeouts.get(linter.name) || linter.timeout || this.lintTimeout;
+  }
+
+  // Abort the previous run of a linter on the same buffer and track the new one
+  startRun(linter, buffer) {
+    let runs = this.runControllers.get(linter);
+    if (!runs) {
+      runs = new Map();
+      this.runControllers.set(linter, runs);
+    }
+    const previous = runs.get(buffer);
+    if (previous) {
+      previous.abort();
+    }
+    const controller = new AbortController();
+    runs.set(buffer, controller);
+    if (buffer && !this.watchedBuffers.has(buffer)) {
+      this.watchedBuffers.add(buffer);
+      const disposable = buffer.onDidDestroy(() => {
+        this.subscriptions.remove(disposable);
+        this.abortRuns((entryBuffer) => entryBuffer === buffer);
+      });
+      this.subscriptions.add(disposable);
+    }
+    return controller;
+  }
+
+  finishRun(linter, buffer, controller) {
+    const runs = this.runControllers.get(linter);
+    if (runs && runs.get(buffer) === controller) {
+      runs.delete(buffer);
+    }
+  }
+
+  abortRuns(predicate = () => true, linter = null) {
+    for (const [entryLinter, runs] of this.runControllers) {
+      if (linter && entryLinter !== linter) {
+        continue;
+      }
+      for (const [buffer, controller] of runs) {
+        if (predicate(buffer)) {
+          controller.abort();
+          runs.delete(buffer);
+        }
+      }
+    }
+  }
+
   hasLinter(linter) {
     return this.linters.has(linter);
   }
 
-  addLinter(linter) {
+  // Linter v1 providers are registered wrapped, with version 1 to convert their results
+  addLinter(linter, version = 2) {
     if (!Validate.linter(linter)) {
       return false;
     }
@@ -64,7 +197,7 @@ class LinterRegistry {
     if (typeof linter[$requestLastReceived] === "undefined") {
       linter[$requestLastReceived] = 0;
     }
-    linter[$version] = 2;
+    linter[$version] = version;
     // Convert grammarScopes array to Set for O(1) lookup in shouldTriggerLinter
     if (Array.isArray(linter.grammarScopes) && !(linter.grammarScopes instanceof Set)) {
       linter._grammarScopesSet = new Set(linter.grammarScopes);
@@ -82,121 +215,63 @@ class LinterRegistry {
       return;
     }
     linter[$activated] = false;
+    this.abortRuns(undefined, linter);
+    this.runControllers.delete(linter);
     this.linters.delete(linter);
+    ProviderIssues.clearProvider(linter.name);
   }
 
-  async lint({ onChange, editor }) {
+  // Headless editors are loaded by project-wide lints: only file-scope providers run
+  // on them, after any editor request, and their results are keyed by file path.
+  // Untitled editors are only linted by providers declaring `lintsUntitled`.
+  async lint({ onChange, editor, headless = false }) {
     const filePath = editor.getPath();
     if (
-      (onChange && !this.lintOnChange) ||
+      (onChange && !this.getSetting("lintOnChange", filePath)) ||
       (!this.lintPreviewTabs && atom.workspace.getActivePane().getPendingItem() === editor) ||
-      (await Helpers.isPathIgnored(editor.getPath(), this.ignoreGlob, this.ignoreVCS))
+      (filePath &&
+        (await Helpers.isPathIgnored(
+          filePath,
+          this.getSetting("ignoreGlob", filePath),
+          this.ignoreVCS,
+        )))
     ) {
       return false;
     }
-    const scopes = Helpers.getEditorCursorScopes(editor);
+    const scopes = headless
+      ? ["*", editor.getGrammar().scopeName]
+      : Helpers.getEditorCursorScopes(editor);
+    const getPriority = headless ? () => -1 : () => getEditorPriority(editor);
+    const disabledProviders = this.getSetting("disabledProviders", filePath);
     const promises = [];
     for (const linter of this.linters) {
+      if ((headless && linter.scope !== "file") || (!filePath && !linter.lintsUntitled)) {
+        continue;
+      }
       if (!Helpers.shouldTriggerLinter(linter, onChange, scopes)) {
         continue;
       }
-      if (this.disabledProviders.includes(linter.name)) {
+      if (disabledProviders.includes(linter.name)) {
         continue;
       }
       const number = ++linter[$requestLatest];
       const statusBuffer = linter.scope === "file" ? editor.getBuffer() : null;
       const statusFilePath = linter.scope === "file" ? filePath : null;
-      this.emitter.emit("did-begin-linting", {
-        number,
-        linter,
-        filePath: statusFilePath,
-      });
+      const controller = this.startRun(linter, statusBuffer);
       promises.push(
-        Promise.race([
-          new Promise(function (resolve) {
-            resolve(linter.lint(editor));
-          }),
-          createTimeoutPromise(LINTER_TIMEOUT_MS, linter.name),
-        ]).then(
-          (messages) => {
-            this.emitter.emit("did-finish-linting", {
-              number,
-              linter,
-              filePath: statusFilePath,
-            });
-            if (
-              linter[$requestLastReceived] >= number ||
-              !linter[$activated] ||
-              (statusBuffer && !statusBuffer.isAlive())
-            ) {
-              return;
-            }
-            linter[$requestLastReceived] = number;
-            if (statusBuffer && !statusBuffer.isAlive()) {
-              return;
-            }
-            if (messages === null || messages === undefined) {
-              return;
-            }
-            let validity = true;
-            if (atom.inDevMode() || !Array.isArray(messages)) {
-              validity = Validate.messages(linter.name, messages);
-            }
-            if (!validity) {
-              return;
-            }
-            Helpers.normalizeMessages(linter.name, messages);
-            this.emitter.emit("did-update-messages", {
-              messages,
+        this.scheduler.schedule(
+          `${statusBuffer ? statusBuffer.id : "project"}::${linter.name}`,
+          getPriority,
+          () =>
+            this.runLinter({
               linter,
-              buffer: statusBuffer,
-            });
-          },
-          (error) => {
-            this.emitter.emit("did-finish-linting", {
+              editor,
               number,
-              linter,
-              filePath: statusFilePath,
-            });
-            const errorMessage = error instanceof Error ? error.message : String(error);
-            console.error(`[Linter] Error running ${linter.name}:`, errorMessage, error);
-
-            // Use linter name as the key to prevent duplicate notifications
-            const notificationKey = `linter-error:${linter.name}`;
-
-            // Check if we already have an active notification for this linter
-            if (this.activeNotifications.has(notificationKey)) {
-              return;
-            }
-
-            const notification = atom.notifications.addError(
-              `[Linter] Error running ${linter.name}`,
-              {
-                detail: `${errorMessage}\n\nSee Console for more info.`,
-                dismissable: true,
-                buttons: [
-                  {
-                    text: "Open Console",
-                    onDidClick: () => {
-                      atom.openDevTools();
-                      notification.dismiss();
-                    },
-                  },
-                  {
-                    text: "Cancel",
-                    onDidClick: () => {
-                      notification.dismiss();
-                    },
-                  },
-                ],
-              },
-            );
-            // Track notification by linter name and remove when dismissed
-            this.activeNotifications.add(notificationKey);
-            notification.onDidDismiss(() => {
-              this.activeNotifications.delete(notificationKey);
-            });
-          },
+              statusBuffer,
+              statusFilePath,
+              controller,
+              headless,
+            }),
         ),
       );
     }
@@ -204,6 +279,156 @@ class LinterRegistry {
     return true;
   }
 
+  runLinter({ linter, editor, number, statusBuffer, statusFilePath, controller, headless }) {
+    if (controller.signal.aborted) {
+      this.finishRun(linter, statusBuffer, controller);
+      return;
+    }
+    const timeout = createTimeoutPromise(this.getTimeout(linter), linter.name, controller);
+    const startTime = performance.now();
+    // Edits made while the provider runs, to move its results to the current text
+    const tracker = statusBuffer && !headless ? new ChangeTracker(statusBuffer) : null;
+    // Text the provider counts its columns in, converted before edits are translated
+    const lines =
+      statusBuffer && linter.columnEncoding && linter.columnEncoding !== "utf16"
+        ? statusBuffer.getLines()
+        : null;
+    this.emitter.emit("did-begin-linting", {
+      number,
+      linter,
+      filePath: statusFilePath,
+    });
+    return Promise.race([
+      new Promise(function (resolve) {
+        resolve(linter.lint(editor, { signal: controller.signal }));
+      }),
+      timeout.promise,
+    ]).then(
+      (messages) => {
+        timeout.clear();
+        if (tracker) {
+          tracker.dispose();
+        }
+        this.finishRun(linter, statusBuffer, controller);
+        this.emitter.emit("did-finish-linting", {
+          number,
+          linter,
+          filePath: statusFilePath,
+          status: controller.signal.aborted ? "aborted" : "ok",
+          duration: performance.now() - startTime,
+          messageCount: Array.isArray(messages) ? messages.length : 0,
+        });
+        // Headless runs each lint a different file, so request order does not apply to them
+        if (
+          controller.signal.aborted ||
+          (!headless && linter[$requestLastReceived] >= number) ||
+          !linter[$activated] ||
+          (statusBuffer && !statusBuffer.isAlive())
+        ) {
+          return;
+        }
+        if (!headless) {
+          linter[$requestLastReceived] = number;
+        }
+        if (statusBuffer && !statusBuffer.isAlive()) {
+          return;
+        }
+        if (messages === null || messages === undefined) {
+          return;
+        }
+        // Messages of an untitled buffer have no file to attach to, attach them by buffer
+        if (statusBuffer && !statusBuffer.getPath() && Array.isArray(messages)) {
+          for (const message of messages) {
+            if (message && message.location && typeof message.location === "object") {
+              message.location.buffer = statusBuffer;
+              if (typeof message.location.file !== "string") {
+                message.location.file = "";
+              }
+            }
+          }
+        }
+        if (!Validate.result(linter.name, messages, false, linter[$version])) {
+          return;
+        }
+        Helpers.normalizeMessages(linter.name, messages, {
+          version: linter[$version],
+          columnEncoding: linter.columnEncoding,
+          buffer: editor.getBuffer(),
+          lines,
+        });
+        if (tracker && tracker.hasChanges()) {
+          translateMessages(messages, tracker, statusBuffer);
+        }
+        this.emitter.emit("did-update-messages", {
+          messages,
+          linter,
+          buffer: headless ? null : statusBuffer,
+          filePath: headless ? statusFilePath : null,
+        });
+      },
+      (error) => {
+        timeout.clear();
+        if (tracker) {
+          tracker.dispose();
+        }
+        this.finishRun(linter, statusBuffer, controller);
+        let status = "error";
+        if (timeout.timedOut) {
+          status = "timeout";
+        } else if (controller.signal.aborted) {
+          status = "aborted";
+        }
+        this.emitter.emit("did-finish-linting", {
+          number,
+          linter,
+          filePath: statusFilePath,
+          status,
+          duration: performance.now() - startTime,
+          messageCount: 0,
+        });
+        // Superseded or cancelled runs are expected to fail, only timeouts are reported
+        if (controller.signal.aborted && !timeout.timedOut) {
+          return;
+        }
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        console.error(`[Linter] Error running ${linter.name}:`, errorMessage, error);
+
+        // Use linter name as the key to prevent duplicate notifications
+        const notificationKey = `linter-error:${linter.name}`;
+
+        // Check if we already have an active notification for this linter
+        if (this.activeNotifications.has(notificationKey)) {
+          return;
+        }
+
+        const notification = atom.notifications.addError(`[Linter] Error running ${linter.name}`, {
+          detail: `${errorMessage}\n\nSee Console for more info.`,
+          dismissable: true,
+          buttons: [
+            {
+              text: "Open Console",
+              onDidClick: () => {
+                atom.openDevTools();
+                notification.dismiss();
+              },
+            },
+            {
+              text: "Cancel",
+              onDidClick: () => {
+                notification.dismiss();
+              },
+            },
+          ],
+        });
+        // Track notification by linter name and remove when dismissed
+        this.activeNotifications.add(notificationKey);
+        notification.onDidDismiss(() => {
+          this.activeNotifications.delete(notificationKey);
+        });
+      },
+    );
+  }
+
   onDidUpdateMessages(callback) {
     return this.emitter.on("did-update-messages", callback);
   }
@@ -217,6 +442,8 @@ class LinterRegistry {
   }
 
   dispose() {
+    this.abortRuns();
+    this.runControllers.clear();
     this.activeNotifications.clear();
     this.linters.clear();
     this.subscriptions.dispose();
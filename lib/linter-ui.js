@@ -1,8 +1,16 @@
-const { CompositeDisposable, Range } = require("atom");
+const { CompositeDisposable } = require("atom");
 const { StatusPanel } = require("./status");
 const { LinterPanel } = require("./linter-panel");
 const { BubblePanel } = require("./bubble");
-const { scrollToCursorWithMode } = require("./helpers");
+const {
+  scrollToCursorWithMode,
+  getMessageRule,
+  getDisplayRange,
+  updateMessageKey,
+} = require("./helpers");
+const ProviderIssues = require("./provider-issues");
+const ExportView = require("./export-view");
+const { hasSolutions, getSolutions, applySolution, applySolutionsInBuffer } = require("./fixes");
 
 // Default thresholds for large file detection
 const DEFAULT_LARGE_FILE_LINE_COUNT = 20000;
@@ -20,6 +28,8 @@ class LinterUI {
     this.itemAdapters = new Set();
     this.lintingStateProvider = null;
     this.allMessages = [];
+    // Running lints reported by the core, by linter and then by request number
+    this.runningLints = new Map();
     this.buffers = new Set();
     this.patchedEditors = new WeakSet();
     this.largeFileLineCount = DEFAULT_LARGE_FILE_LINE_COUNT;
@@ -63,6 +73,12 @@ class LinterUI {
       atom.config.observe("linter-bundle.longLineLength", (value) => {
         this.longLineLength = value || DEFAULT_LONG_LINE_LENGTH;
       }),
+      atom.config.observe("linter-bundle.reportInvalidPositions", (value) => {
+        this.reportInvalidPositions = value;
+      }),
+      atom.config.observe("linter-bundle.keepInvalidatedMessages", (value) => {
+        this.keepInvalidatedMessages = value;
+      }),
     );
   }
 
@@ -98,6 +114,10 @@ class LinterUI {
         buffer.linterUI.warning.destroy();
         buffer.linterUI.info.clear();
         buffer.linterUI.info.destroy();
+        buffer.linterUI.baseline.clear();
+        buffer.linterUI.baseline.destroy();
+        buffer.linterUI.stale.clear();
+        buffer.linterUI.stale.destroy();
       }
       delete buffer.linterUI;
     }
@@ -114,6 +134,55 @@ class LinterUI {
     this.updateCurrent();
   }
 
+  /**
+   * Tracks a provider run started by the core - called on `did-begin-linting`.
+   * @param {Object} event - Object containing number, linter and filePath
+   */
+  didBeginLinting({ number, linter, filePath }) {
+    let runs = this.runningLints.get(linter);
+    if (!runs) {
+      runs = new Map();
+      this.runningLints.set(linter, runs);
+    }
+    runs.set(number, filePath);
+    this.status.updateBusy();
+  }
+
+  /**
+   * Forgets a provider run - called on `did-finish-linting`.
+   * @param {Object} event - Object containing number and linter
+   */
+  didFinishLinting({ number, linter }) {
+    const runs = this.runningLints.get(linter);
+    if (!runs) {
+      return;
+    }
+    runs.delete(number);
+    if (!runs.size) {
+      this.runningLints.delete(linter);
+    }
+    this.status.updateBusy();
+  }
+
+  /**
+   * Returns the names of the providers running for the active file, including
+   * project-scope providers.
+   * @returns {Array<string>} Provider names
+   */
+  getRunningProviders() {
+    const filePath = this.editor ? this.editor.getPath() : null;
+    const names = new Set();
+    for (const [linter, runs] of this.runningLints) {
+      for (const runFilePath of runs.values()) {
+        if (runFilePath === null || (filePath && runFilePath === filePath)) {
+          names.add(linter.name);
+          break;
+        }
+      }
+    }
+    return Array.from(names);
+  }
+
   /**
    * Checks if a buffer is considered "large" based on line count or line length.
    * @param {TextBuffer} buffer - The buffer to check
@@ -152,6 +221,10 @@ class LinterUI {
         error: buffer.addMarkerLayer(),
         warning: buffer.addMarkerLayer(),
         info: buffer.addMarkerLayer(),
+        // Messages accepted by the baseline, drawn dimmed and without gutter dots
+        baseline: buffer.addMarkerLayer(),
+        // Results at positions edited while their provider ran, until the next run
+        stale: buffer.addMarkerLayer(),
         markerMap: new Map(),
         messages: [],
         updateRequired: false,
@@ -171,6 +244,14 @@ class LinterUI {
       type: "text",
       class: "linter-text info",
     });
+    editor.decorateMarkerLayer(buffer.linterUI.baseline, {
+      type: "text",
+      class: "linter-text baseline",
+    });
+    editor.decorateMarkerLayer(buffer.linterUI.stale, {
+      type: "text",
+      class: "linter-text stale",
+    });
     // Line-number decorations (gutter styling)
     editor.decorateMarkerLayer(buffer.linterUI.error, {
       type: "line-number",
@@ -273,16 +354,16 @@ class LinterUI {
         continue;
       }
       const addedMessages = addedByBuffer.get(buffer) || addedByPath.get(bufferPath) || [];
-      // Create displayRange for new messages
+      // Create displayRange for new messages, repaired against the buffer
       for (const message of addedMessages) {
         if (!message.location.displayRange) {
-          const { start, end } = message.location.position;
-          const lineLength = buffer.lineLengthForRow(start.row);
-          // If range spans from line end to next line start, mark entire line
-          if (start.column >= lineLength && end.row === start.row + 1 && end.column === 0) {
-            message.location.displayRange = new Range([start.row, 0], [start.row, lineLength]);
-          } else {
-            message.location.displayRange = message.location.position;
+          const { range, clamped } = getDisplayRange(buffer, message.location.position);
+          message.location.displayRange = range;
+          if (clamped && this.reportInvalidPositions) {
+            ProviderIssues.record(
+              message.linterName,
+              "Message.location.position is outside of the buffer",
+            );
           }
         }
       }
@@ -339,14 +420,24 @@ class LinterUI {
           if (existing) {
             existing.destroy();
           }
-          const marker = buffer.linterUI[message.severity].markRange(
-            message.location.displayRange,
-            { invalidate: "touch" },
-          );
+          let layer = message.severity;
+          if (message.baselined) {
+            layer = "baseline";
+          } else if (message.stale) {
+            layer = "stale";
+          }
+          const marker = buffer.linterUI[layer].markRange(message.location.displayRange, {
+            invalidate: "touch",
+          });
           markerMap.set(message.key, marker);
           marker.onDidChange(({ isValid }) => {
             // Guard: only act if this marker is still the tracked one for this key.
-            if (!isValid && this.onDeleteMessage && markerMap.get(message.key) === marker) {
+            if (isValid || markerMap.get(message.key) !== marker) {
+              return;
+            }
+            if (this.keepInvalidatedMessages) {
+              this.markStale(buffer, message, marker);
+            } else if (this.onDeleteMessage) {
               this.onDeleteMessage(message);
               marker.destroy();
               markerMap.delete(message.key);
@@ -385,6 +476,35 @@ class LinterUI {
     this.updateCurrent();
   }
 
+  /**
+   * Keeps a message whose text was edited as stale until its provider reports again.
+   * It moves to the stale layer and its position follows the edits from then on.
+   * @param {TextBuffer} buffer - Buffer of the message
+   * @param {Object} message - The edited message
+   * @param {DisplayMarker} marker - Its invalidated marker
+   */
+  markStale(buffer, message, marker) {
+    const { markerMap } = buffer.linterUI;
+    const range = marker.getBufferRange();
+    marker.destroy();
+    markerMap.delete(message.key);
+    message.stale = true;
+    message.location.position = range;
+    message.location.displayRange = range;
+    // Solutions target the text that was edited, applying them would corrupt it
+    delete message.solutions;
+    updateMessageKey(message);
+    const staleMarker = buffer.linterUI.stale.markRange(range, { invalidate: "never" });
+    markerMap.set(message.key, staleMarker);
+    staleMarker.onDidChange(() => {
+      if (markerMap.get(message.key) === staleMarker) {
+        message.location.position = staleMarker.getBufferRange();
+        message.location.displayRange = message.location.position;
+      }
+    });
+    this.updateCurrent();
+  }
+
   isLintingDisabledForEditor(editor) {
     return Boolean(editor && this.lintingStateProvider?.(editor));
   }
@@ -499,6 +619,163 @@ class LinterUI {
     this.onDeleteMessage(message);
   }
 
+  ignoreMessage(message) {
+    if (!message || !this.onIgnoreMessage) return;
+    this.onIgnoreMessage(message);
+  }
+
+  /**
+   * Exports the messages listed by the panel, in a format picked by the user.
+   */
+  exportMessages() {
+    const messages = this.panel.getVisibleMessages();
+    if (!messages.length) {
+      atom.notifications.addInfo("[Linter] No messages to export");
+      return;
+    }
+    const exportView = new ExportView(messages);
+    exportView.onDidDispose(() => {
+      this.subscriptions.remove(exportView);
+    });
+    exportView.show();
+    this.subscriptions.add(exportView);
+  }
+
+  /**
+   * Applies a fix of a message and re-lints the affected buffer.
+   * Uses the message at cursor and its highest priority solution by default.
+   * @param {Object} [message] - Message to fix
+   * @param {Object} [solution] - Specific solution of the message to apply
+   * @returns {Promise<boolean>} True if a fix was applied
+   */
+  async applyFix(message = this.getCurrentMessage(), solution = null) {
+    if (!message || !hasSolutions(message)) {
+      return false;
+    }
+    try {
+      if (!solution) {
+        [solution] = await getSolutions(message);
+      }
+      if (!solution) {
+        return false;
+      }
+      const textEditor = await this.getTextEditorForMessage(message);
+      if (!textEditor || !(await applySolution(textEditor, solution))) {
+        return false;
+      }
+      if (this.onShouldLint) {
+        this.onShouldLint(textEditor);
+      }
+    } catch (error) {
+      // Solutions come from providers, a failing one must not break the caller
+      atom.notifications.addWarning("[Linter] Failed to apply fix", {
+        detail: error?.message ?? String(error),
+        dismissable: true,
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Applies every fixable message of a file in one undo transaction.
+   * @param {Object} [options]
+   * @param {TextEditor} [options.textEditor] - Editor to fix, defaults to the active one
+   * @param {Function} [options.filter] - Predicate selecting which messages to fix
+   * @returns {Promise<number>} Number of applied fixes
+   */
+  async fixAll({ textEditor = this.editor, filter = null } = {}) {
+    if (!textEditor) {
+      return 0;
+    }
+    const buffer = textEditor.getBuffer();
+    let messages = buffer.linterUI?.messages;
+    if (!messages?.length) {
+      // Files opened from project mode are not assigned their messages until the next render
+      const filePath = buffer.getPath();
+      messages = this.allMessages.filter((message) =>
+        message.location.buffer
+          ? message.location.buffer === buffer
+          : filePath && message.location.file === filePath,
+      );
+    }
+    messages = messages.filter((message) => hasSolutions(message) && (!filter || filter(message)));
+    if (!messages.length) {
+      atom.notifications.addInfo("[Linter] No fixable messages found");
+      return 0;
+    }
+    let result;
+    try {
+      result = await applySolutionsInBuffer(buffer, messages);
+    } catch (error) {
+      atom.notifications.addError("[Linter] Failed to apply fixes", {
+        detail: error?.message ?? String(error),
+        dismissable: true,
+      });
+      return 0;
+    }
+    const { applied, skipped } = result;
+    if (applied && this.onShouldLint) {
+      this.onShouldLint(textEditor);
+    }
+    atom.notifications.addSuccess(`[Linter] Applied ${applied} of ${messages.length} fixes`, {
+      detail: skipped
+        ? `${skipped} overlapping, outdated or failing fixes were skipped.`
+        : undefined,
+    });
+    return applied;
+  }
+
+  /**
+   * Applies every fix in the file of a message that comes from the same provider
+   * and, unless `byProvider` is set, the same rule.
+   * @param {Object} message - Reference message
+   * @param {boolean} [byProvider] - Match on provider only
+   * @returns {Promise<number>} Number of applied fixes
+   */
+  async fixAllLike(message, byProvider = false) {
+    let textEditor;
+    try {
+      textEditor = await this.getTextEditorForMessage(message);
+    } catch (error) {
+      atom.notifications.addError("[Linter] Failed to open the file to fix", {
+        detail: error?.message ?? String(error),
+        dismissable: true,
+      });
+      return 0;
+    }
+    if (!textEditor) {
+      return 0;
+    }
+    const rule = getMessageRule(message);
+    return this.fixAll({
+      textEditor,
+      filter: (entry) =>
+        entry.linterName === message.linterName &&
+        (byProvider ||
+          (rule !== null ? getMessageRule(entry) === rule : entry.excerpt === message.excerpt)),
+    });
+  }
+
+  /**
+   * Finds an open text editor for the message location, opening its file if needed.
+   * @param {Object} message - Linter message
+   * @returns {Promise<TextEditor|null>}
+   */
+  async getTextEditorForMessage(message) {
+    const { buffer, file } = message.location;
+    for (const editor of atom.workspace.getTextEditors()) {
+      if (buffer ? editor.getBuffer() === buffer : editor.getPath() === file) {
+        return editor;
+      }
+    }
+    if (buffer || !file) {
+      return null;
+    }
+    const item = await atom.workspace.open(file, { pending: true });
+    return atom.workspace.isTextEditor(item) ? item : null;
+  }
+
   clearMessages() {
     if (!this.editor) {
       return;
@@ -1,10 +1,14 @@
 const { CompositeDisposable, Disposable } = require("atom");
 const Linter = require("./linter-main");
 const LinterUI = require("./linter-ui");
+const LinterQuery = require("./linter-query");
 const Validate = require("./validate");
+const { formatMessage } = require("./helpers");
+const { wrapLegacyLinter } = require("./legacy");
 
 let instance;
 let ui;
+let query;
 let subscriptions;
 let externalUIProviders;
 
@@ -18,16 +22,34 @@ function activate() {
   // Initialize core linter and UI
   instance = new Linter();
   ui = new LinterUI();
+  query = new LinterQuery({
+    getTextEditorForMessage: (message) => ui.getTextEditorForMessage(message),
+  });
 
   // Wire core to UI
   instance.setUIRenderCallback((difference) => {
     ui.render(difference);
+    query.didUpdateMessages(difference);
     for (const provider of externalUIProviders) {
       if (provider.render) {
         provider.render(difference);
       }
     }
   });
+  instance.setUIBeginLintingCallback((event) => {
+    ui.didBeginLinting(event);
+    query.didBeginLinting(event);
+    for (const provider of externalUIProviders) {
+      notifyUIProvider(provider, "didBeginLinting", event);
+    }
+  });
+  instance.setUIFinishLintingCallback((event) => {
+    ui.didFinishLinting(event);
+    query.didFinishLinting(event);
+    for (const provider of externalUIProviders) {
+      notifyUIProvider(provider, "didFinishLinting", event);
+    }
+  });
   instance.setUIProjectViewCallback(() => {
     ui.panel.setViewMode("project");
   });
@@ -36,11 +58,14 @@ function activate() {
   });
   ui.setLintingStateProvider((editor) => instance.isTextEditorLintingDisabled(editor));
   ui.onDeleteMessage = (message) => instance.deleteMessage(message);
+  ui.onIgnoreMessage = (message) => instance.ignoreMessage(message);
+  ui.onShouldLint = (textEditor) => instance.lintTextEditor(textEditor);
 
   // Register commands
   subscriptions.add(
     instance,
     ui,
+    query,
     atom.commands.add("atom-workspace", {
       "linter-bundle:toggle-panel": () => ui.togglePanel(),
       "linter-bundle:toggle-focus": () => ui.panel.toggleFocus(),
@@ -50,10 +75,28 @@ function activate() {
       "linter-bundle:inspect": () => ui.inspect(),
       "linter-bundle:next": () => ui.inspectNext(),
       "linter-bundle:previous": () => ui.inspectPrevious(),
+      "linter-bundle:apply-fix": () => ui.applyFix(),
+      "linter-bundle:fix-all-in-file": () => ui.fixAll(),
+      "linter-bundle:export-messages": () => ui.exportMessages(),
     }),
   );
 }
 
+/**
+ * Forwards a linting event to a UI provider from an external package. A failing
+ * provider is logged, so it can't break the lint run of the other consumers.
+ * @param {Object} provider - UI provider to notify
+ * @param {string} method - Name of the provider callback
+ * @param {Object} event - Linting event to forward
+ */
+function notifyUIProvider(provider, method, event) {
+  try {
+    provider[method](event);
+  } catch (error) {
+    console.error(`[Linter] UI provider ${provider.name} failed in ${method}`, error);
+  }
+}
+
 /**
  * Deactivates the linter-bundle package.
  */
@@ -78,6 +121,23 @@ function consumeLinter(linter) {
   });
 }
 
+/**
+ * Consumes linter v1 providers from packages not updated to linter v2.
+ * @param {Object|Array} linter - Linter v1 provider(s) to consume
+ * @returns {Disposable}
+ */
+function consumeLegacyLinter(linter) {
+  const linters = (Array.isArray(linter) ? linter : [linter]).map(wrapLegacyLinter);
+  for (const entry of linters) {
+    instance.addLinter(entry, 1);
+  }
+  return new Disposable(() => {
+    for (const entry of linters) {
+      instance.deleteLinter(entry);
+    }
+  });
+}
+
 /**
  * Provides the indie linter service.
  * @returns {Function}
@@ -86,6 +146,14 @@ function provideIndie() {
   return (indie) => instance.addIndie(indie);
 }
 
+/**
+ * Provides the linter-query service to read and observe messages.
+ * @returns {Object}
+ */
+function provideLinterQuery() {
+  return query.getService();
+}
+
 /**
  * Consumes the status bar service.
  * @param {Object} statusBar
@@ -94,6 +162,15 @@ function consumeStatusBar(statusBar) {
   ui.consumeStatusBar(statusBar);
 }
 
+/**
+ * Consumes the busy-signal service to report long provider runs and project lints.
+ * @param {Object} busySignal
+ * @returns {Disposable}
+ */
+function consumeBusySignal(busySignal) {
+  return instance.consumeBusySignal(busySignal);
+}
+
 /**
  * Consumes linter-ui providers from external packages.
  * @param {Object} provider - UI provider with render method
@@ -159,35 +236,16 @@ function provideMcpTools() {
   ];
 }
 
-/**
- * Format a linter message for MCP output.
- * @param {Object} msg - Linter message
- * @returns {Object} Formatted message
- */
-function formatMessage(msg) {
-  const position = msg.location?.position;
-  return {
-    severity: msg.severity,
-    excerpt: msg.excerpt,
-    linterName: msg.linterName,
-    file: msg.location?.file || null,
-    range: position
-      ? {
-          start: { row: position.start?.row, column: position.start?.column },
-          end: { row: position.end?.row, column: position.end?.column },
-        }
-      : null,
-    url: msg.url || null,
-  };
-}
-
 module.exports = {
   activate,
   deactivate,
   consumeLinter,
+  consumeLegacyLinter,
   consumeLinterUI,
   consumeItemLinterAdapter,
   provideIndie,
+  provideLinterQuery,
   consumeStatusBar,
+  consumeBusySignal,
   provideMcpTools,
 };
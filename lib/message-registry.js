@@ -24,14 +24,19 @@ class MessageRegistry {
   }
 
   // Generate a unique key for buffer+linter combination
-  _getKey(buffer, linter) {
-    const bufferId = buffer ? buffer.id || buffer.getId?.() || String(buffer) : "null";
-    const linterName = linter.name || String(linter);
-    return `${bufferId}::${linterName}`;
+  // Results of headless project lints have no buffer and are keyed by file path
+  // Linters sharing a name, like indie delegates of imported reports, are told apart by id
+  _getKey(buffer, linter, filePath) {
+    let bufferId = buffer ? buffer.id || buffer.getId?.() || String(buffer) : "null";
+    if (!buffer && filePath) {
+      bufferId = `file:${filePath}`;
+    }
+    const linterId = linter.id || linter.name || String(linter);
+    return `${bufferId}::${linterId}`;
   }
 
-  set({ messages, linter, buffer }) {
-    const key = this._getKey(buffer, linter);
+  set({ messages, linter, buffer, filePath = null }) {
+    const key = this._getKey(buffer, linter, filePath);
     const existing = this.messagesMap.get(key);
     if (existing) {
       existing.messages = messages;
@@ -41,6 +46,7 @@ class MessageRegistry {
         messages,
         linter,
         buffer,
+        filePath,
         oldMessages: [],
         changed: true,
         deleted: false,
@@ -121,6 +127,15 @@ class MessageRegistry {
     this.debouncedUpdate();
   }
 
+  deleteByFilePath(filePath) {
+    for (const entry of this.messagesMap.values()) {
+      if (!entry.buffer && entry.filePath === filePath) {
+        entry.deleted = true;
+      }
+    }
+    this.debouncedUpdate();
+  }
+
   deleteAll() {
     for (const entry of this.messagesMap.values()) {
       entry.deleted = true;
@@ -0,0 +1,144 @@
+const path = require("path");
+
+// Matchers for common tools, referenced by name from a task's `matcher`
+const BUILTIN_MATCHERS = {
+  // src/index.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.
+  tsc: {
+    regexp: "^(.+?)\\((\\d+),(\\d+)\\):\\s+(error|warning|info)\\s+(TS\\d+)\\s*:\\s*(.*)$",
+    file: 1,
+    line: 2,
+    column: 3,
+    severity: 4,
+    code: 5,
+    message: 6,
+  },
+  // src/main.c:12:5: warning: unused variable 'x' [-Wunused-variable]
+  gcc: {
+    regexp: "^(.+?):(\\d+):(?:(\\d+):)?\\s+(?:fatal\\s+)?(error|warning|note):\\s+(.*)$",
+    file: 1,
+    line: 2,
+    column: 3,
+    severity: 4,
+    message: 5,
+  },
+};
+
+const SEVERITIES = {
+  error: "error",
+  fatal: "error",
+  warning: "warning",
+  warn: "warning",
+  info: "info",
+  note: "info",
+  hint: "info",
+};
+
+// Names tools give to the text they read from stdin
+const STDIN_NAMES = new Set(["-", "<stdin>", "stdin", "<text>"]);
+
+// Strips the colors and cursor movements some tools print even into pipes
+const ANSI_ESCAPE = new RegExp(String.fromCharCode(27) + "\\[[0-9;?]*[A-Za-z]", "g");
+
+function toNumber(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+}
+
+// Numeric severities follow ESLint: 2 is an error, 1 a warning
+function getSeverity(value, fallback) {
+  if (typeof value === "number") {
+    return value >= 2 ? "error" : value === 1 ? "warning" : "info";
+  }
+  return (typeof value === "string" && SEVERITIES[value.toLowerCase()]) || fallback;
+}
+
+/**
+ * Builds a linter message from the fields reported by a tool.
+ * @param {Object} fields - `file`, `line`, `column`, `endLine`, `endColumn`, `severity`,
+ *   `code` and `message`; lines and columns count from 1
+ * @param {Object} options
+ * @param {string} options.cwd - Directory relative file paths are resolved against
+ * @param {string} [options.severity] - Severity when the tool reports none
+ * @param {string} [options.file] - File of messages without one, or on stdin
+ * @returns {Object|null} Linter message, null without a file
+ */
+function createMessage(fields, { cwd, severity = "error", file = null }) {
+  let filePath = typeof fields.file === "string" ? fields.file.trim() : "";
+  if (filePath && !STDIN_NAMES.has(filePath)) {
+    filePath = path.resolve(cwd, filePath);
+  } else if (typeof file === "string") {
+    // Used as is, it is empty for untitled buffers
+    filePath = file;
+  } else {
+    return null;
+  }
+  const row = Math.max(toNumber(fields.line, 1) - 1, 0);
+  const column = Math.max(toNumber(fields.column, 1) - 1, 0);
+  const endRow = Math.max(toNumber(fields.endLine, row + 1) - 1, row);
+  const endColumn = Math.max(toNumber(fields.endColumn, column + 1) - 1, 0);
+  const message = {
+    severity: getSeverity(fields.severity, severity),
+    location: {
+      file: filePath,
+      position: [
+        [row, column],
+        [endRow, endRow === row ? Math.max(endColumn, column) : endColumn],
+      ],
+    },
+    excerpt: String(fields.message ?? "").trim() || "No message",
+  };
+  if (fields.code !== undefined && fields.code !== null && fields.code !== "") {
+    message.ruleId = String(fields.code);
+  }
+  return message;
+}
+
+// Fields of a message reported by a tool
+const FIELDS = ["file", "line", "column", "endLine", "endColumn", "severity", "code", "message"];
+
+/**
+ * Problem Matcher
+ * Turns lines of command output into linter messages with a regular expression.
+ * Its groups are mapped by index to `file`, `line`, `column`, `endLine`, `endColumn`,
+ * `severity`, `code` and `message`; lines and columns count from 1.
+ */
+class ProblemMatcher {
+  /**
+   * @param {Object|string} matcher - Matcher definition, or the name of a built-in one
+   * @param {Object} options - Options of `createMessage`
+   */
+  constructor(matcher, options) {
+    const definition = typeof matcher === "string" ? BUILTIN_MATCHERS[matcher] : matcher;
+    if (!definition || typeof definition.regexp !== "string") {
+      throw new Error(`Unknown problem matcher: ${JSON.stringify(matcher)}`);
+    }
+    this.definition = definition;
+    this.regexp = new RegExp(definition.regexp);
+    this.options = options;
+  }
+
+  /**
+   * @param {string} line - One line of output
+   * @returns {Object|null} Linter message, null if the line does not match
+   */
+  match(line) {
+    const text = line.replace(ANSI_ESCAPE, "");
+    const match = this.regexp.exec(text);
+    if (!match) {
+      return null;
+    }
+    const fields = {};
+    for (const field of FIELDS) {
+      const index = this.definition[field];
+      if (typeof index === "number" && match[index] !== undefined) {
+        fields[field] = match[index];
+      }
+    }
+    if (fields.message === undefined) {
+      fields.message = text;
+    }
+    return createMessage(fields, this.options);
+  }
+}
+
+module.exports = { ProblemMatcher, BUILTIN_MATCHERS, FIELDS, createMessage };
@@ -0,0 +1,48 @@
+/**
+ * Progress View
+ * Bottom panel showing the progress of a long running operation with a cancel button.
+ */
+class ProgressView {
+  constructor({ title, onCancel }) {
+    this.title = title;
+
+    this.element = document.createElement("div");
+    this.element.classList.add("linter-progress", "padded");
+
+    this.label = document.createElement("span");
+    this.label.classList.add("linter-progress-label", "inline-block");
+    this.element.appendChild(this.label);
+
+    this.progress = document.createElement("progress");
+    this.progress.classList.add("inline-block");
+    this.element.appendChild(this.progress);
+
+    this.cancelButton = document.createElement("button");
+    this.cancelButton.classList.add("btn", "btn-sm", "inline-block");
+    this.cancelButton.textContent = "Cancel";
+    this.cancelButton.addEventListener("click", () => onCancel());
+    this.element.appendChild(this.cancelButton);
+
+    this.update(0, 0);
+    this.panel = atom.workspace.addBottomPanel({ item: this.element });
+  }
+
+  update(done, total) {
+    if (total) {
+      this.progress.max = total;
+      this.progress.value = done;
+      this.label.textContent = `${this.title}: ${done} / ${total}`;
+    } else {
+      // Indeterminate until the total is known
+      this.progress.removeAttribute("value");
+      this.label.textContent = `${this.title}…`;
+    }
+  }
+
+  destroy() {
+    this.panel.destroy();
+    this.element.remove();
+  }
+}
+
+module.exports = ProgressView;
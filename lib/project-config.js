@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const isEqual = require("lodash/isEqual");
+const { Emitter, CompositeDisposable } = require("atom");
+const { onDidChangeRootFiles } = require("./helpers");
+
+const CONFIG_FILE_NAMES = [".linter-bundle.json", ".linter-bundle.cson"];
+
+let csonParser;
+
+function parseConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  if (path.extname(filePath) === ".cson") {
+    if (!csonParser) {
+      csonParser = require("cson-parser");
+    }
+    return csonParser.parse(content);
+  }
+  return JSON.parse(content);
+}
+
+// Checks a value against the schema of a config key, as far as settings use it
+function matchesSchema(value, schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const typeMatches = types.some((type) => {
+    switch (type) {
+      case "boolean":
+        return typeof value === "boolean";
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "string":
+        return typeof value === "string";
+      case "array":
+        return (
+          Array.isArray(value) &&
+          (!schema.items || value.every((item) => matchesSchema(item, schema.items)))
+        );
+      case "object":
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+      default:
+        return true;
+    }
+  });
+  if (!typeMatches) {
+    return false;
+  }
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.some((entry) =>
+      entry !== null && typeof entry === "object" ? entry.value === value : entry === value,
+    );
+  }
+  return true;
+}
+
+/**
+ * Removes the settings whose value does not match the schema of their config key.
+ * @param {Object} settings - Settings of a configuration file, modified in place
+ * @returns {Array<string>} Names of the removed settings
+ */
+function removeInvalidSettings(settings) {
+  const invalid = [];
+  for (const key of Object.keys(settings)) {
+    const schema = atom.config.getSchema(`linter-bundle.${key}`);
+    if (schema && schema.type && !matchesSchema(settings[key], schema)) {
+      invalid.push(key);
+      delete settings[key];
+    }
+  }
+  return invalid;
+}
+
+/**
+ * Project Config
+ * Loads `.linter-bundle.json` or `.linter-bundle.cson` from each project root.
+ * Their settings override the `linter-bundle.*` config keys for files of that root.
+ */
+class ProjectConfig {
+  constructor() {
+    this.emitter = new Emitter();
+    // Map of project root to { filePath, settings, error }
+    this.configs = new Map();
+    this.subscriptions = new CompositeDisposable();
+    this.subscriptions.add(
+      this.emitter,
+      atom.project.onDidChangePaths(() => this.reload()),
+      onDidChangeRootFiles(CONFIG_FILE_NAMES, () => this.reload()),
+    );
+    this.reload();
+  }
+
+  reload() {
+    this.configs.clear();
+    for (const root of atom.project.getPaths()) {
+      const filePath = CONFIG_FILE_NAMES.map((name) => path.join(root, name)).find((entry) =>
+        fs.existsSync(entry),
+      );
+      if (!filePath) {
+        continue;
+      }
+      try {
+        const settings = parseConfigFile(filePath);
+        if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+          throw new Error("The configuration must be an object");
+        }
+        const invalid = removeInvalidSettings(settings);
+        if (invalid.length) {
+          atom.notifications.addWarning("[Linter] Invalid project settings ignored", {
+            detail: `${filePath}\n${invalid
+              .map((key) => `\`${key}\` does not match the type of linter-bundle.${key}`)
+              .join("\n")}`,
+            dismissable: true,
+          });
+        }
+        this.configs.set(root, { filePath, settings, error: null });
+      } catch (error) {
+        this.configs.set(root, { filePath, settings: {}, error: error.message });
+        atom.notifications.addWarning("[Linter] Invalid project configuration", {
+          detail: `${filePath}\n${error.message}`,
+          dismissable: true,
+        });
+      }
+    }
+    this.emitter.emit("did-change");
+  }
+
+  /**
+   * Returns the settings of the project the file belongs to.
+   * @param {string} filePath - File path or project root
+   * @returns {Object} Settings, empty when the project has no configuration file
+   */
+  getSettings(filePath) {
+    if (!filePath) {
+      return {};
+    }
+    const [root] = atom.project.relativizePath(filePath);
+    const config = root ? this.configs.get(root) : null;
+    return config ? config.settings : {};
+  }
+
+  /**
+   * Returns a setting for the file, falling back to the `linter-bundle.*` config key.
+   * @param {string} key - Setting name, e.g. `ignoreGlob`
+   * @param {string} filePath - File the setting applies to
+   */
+  get(key, filePath) {
+    const settings = this.getSettings(filePath);
+    if (settings[key] !== undefined) {
+      return settings[key];
+    }
+    return atom.config.get(`linter-bundle.${key}`);
+  }
+
+  /**
+   * Calls back with the setting for the file now and whenever it changes,
+   * either in the config or in the project configuration file.
+   */
+  observe(key, filePath, callback) {
+    let value;
+    const update = () => {
+      const next = this.get(key, filePath);
+      if (!isEqual(next, value)) {
+        value = next;
+        callback(next);
+      }
+    };
+    update();
+    return new CompositeDisposable(
+      atom.config.onDidChange(`linter-bundle.${key}`, update),
+      this.onDidChange(update),
+    );
+  }
+
+  getConfigs() {
+    return Array.from(this.configs, ([root, config]) => ({ root, ...config }));
+  }
+
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  dispose() {
+    this.subscriptions.dispose();
+    this.configs.clear();
+  }
+}
+
+module.exports = ProjectConfig;
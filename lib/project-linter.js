@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const { Emitter, TextBuffer } = require("atom");
+const Helpers = require("./helpers");
+
+// Directories that never contain lintable sources
+const SKIPPED_DIRECTORIES = new Set([".git", ".hg", ".svn"]);
+
+/**
+ * Project Linter
+ * Runs file-scope providers on every matching file of the project, loading
+ * files that are not open into headless editors.
+ */
+class ProjectLinter {
+  constructor(registryLinters, registryEditors) {
+    this.registryLinters = registryLinters;
+    this.registryEditors = registryEditors;
+    this.emitter = new Emitter();
+    this.cancelled = false;
+    this.headlessBuffers = new Set();
+  }
+
+  /**
+   * Lints all matching files of the project paths.
+   * @returns {Promise<{done: number, total: number, cancelled: boolean}>}
+   */
+  async lint() {
+    const scopes = new Set();
+    for (const linter of this.registryLinters.getProviders()) {
+      if (linter.scope === "file") {
+        linter.grammarScopes.forEach((scope) => scopes.add(scope));
+      }
+    }
+    const files = [];
+    for (const projectPath of atom.project.getPaths()) {
+      await this.collectFiles(projectPath, scopes, files);
+    }
+    const total = files.length;
+    let done = 0;
+    this.emitter.emit("did-begin", { total });
+
+    // Keep a bounded number of files loaded, the scheduler limits the provider runs
+    const workers = [];
+    const workerCount = Math.max(1, atom.config.get("linter-bundle.maxConcurrentLints") || 4);
+    for (let i = 0; i < workerCount; i++) {
+      workers.push(
+        (async () => {
+          while (files.length && !this.cancelled) {
+            const file = files.shift();
+            try {
+              await this.lintFile(file);
+            } catch (error) {
+              console.error(`[Linter] Error linting ${file.filePath}:`, error);
+            }
+            done++;
+            this.emitter.emit("did-progress", { done, total });
+          }
+        })(),
+      );
+    }
+    await Promise.all(workers);
+    const result = { done, total, cancelled: this.cancelled };
+    this.emitter.emit("did-finish", result);
+    return result;
+  }
+
+  async collectFiles(directory, scopes, files) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    const { ignoreVCS } = this.registryLinters;
+    const ignoreGlob = this.registryLinters.getSetting("ignoreGlob", directory);
+    for (const entry of entries) {
+      if (this.cancelled) {
+        return;
+      }
+      const filePath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (
+          !SKIPPED_DIRECTORIES.has(entry.name) &&
+          !(await Helpers.isPathIgnored(filePath, ignoreGlob, ignoreVCS))
+        ) {
+          await this.collectFiles(filePath, scopes, files);
+        }
+        continue;
+      }
+      if (!entry.isFile()) {
+        continue;
+      }
+      // Select the grammar by path only, so files no provider handles are never loaded
+      const grammar = atom.grammars.selectGrammar(filePath, "");
+      if (!grammar || (!scopes.has(grammar.scopeName) && !scopes.has("*"))) {
+        continue;
+      }
+      if (await Helpers.isPathIgnored(filePath, ignoreGlob, ignoreVCS)) {
+        continue;
+      }
+      files.push({ filePath, grammar });
+    }
+  }
+
+  async lintFile({ filePath, grammar }) {
+    const openEditor = atom.workspace.getTextEditors().find((editor) => {
+      return editor.getPath() === filePath && this.registryEditors?.get(editor);
+    });
+    if (openEditor) {
+      await this.registryLinters.lint({ onChange: false, editor: openEditor });
+      return;
+    }
+    const buffer = await TextBuffer.load(filePath);
+    if (this.cancelled) {
+      buffer.destroy();
+      return;
+    }
+    this.headlessBuffers.add(buffer);
+    const editor = atom.workspace.buildTextEditor({ buffer });
+    atom.grammars.assignGrammar(buffer, grammar);
+    try {
+      await this.registryLinters.lint({ onChange: false, editor, headless: true });
+    } finally {
+      this.headlessBuffers.delete(buffer);
+      editor.destroy();
+      if (buffer.isAlive()) {
+        buffer.destroy();
+      }
+    }
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.registryLinters.abortRuns((buffer) => this.headlessBuffers.has(buffer));
+  }
+
+  onDidBegin(callback) {
+    return this.emitter.on("did-begin", callback);
+  }
+
+  onDidProgress(callback) {
+    return this.emitter.on("did-progress", callback);
+  }
+
+  onDidFinish(callback) {
+    return this.emitter.on("did-finish", callback);
+  }
+
+  dispose() {
+    this.cancel();
+    this.emitter.dispose();
+  }
+}
+
+module.exports = ProjectLinter;
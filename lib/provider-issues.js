@@ -0,0 +1,56 @@
+// Problems found in provider results, by provider name and then by issue
+const issuesByProvider = new Map();
+
+/**
+ * Records an issue found in the result of a provider. The first occurrence of
+ * each issue is logged to the console, repeats only update the counters.
+ * @param {string} linterName - Name of the provider
+ * @param {string} issue - Description of the problem
+ * @param {Array<number>} [indexes] - Indexes of the offending entries in the result
+ */
+function record(linterName, issue, indexes = []) {
+  let issues = issuesByProvider.get(linterName);
+  if (!issues) {
+    issues = new Map();
+    issuesByProvider.set(linterName, issues);
+  }
+  const entry = issues.get(issue);
+  if (entry) {
+    entry.count += indexes.length || 1;
+    entry.lastIndexes = indexes;
+    return;
+  }
+  issues.set(issue, { count: indexes.length || 1, lastIndexes: indexes });
+  console.warn(
+    `[Linter] Provider '${linterName}': ${issue}`,
+    indexes.length ? `(entries ${indexes.join(", ")}, further occurrences are not logged)` : "",
+  );
+}
+
+/**
+ * Returns the recorded issues.
+ * @returns {Array<Object>} Entries with `linterName`, `issue`, `count` and `lastIndexes`
+ */
+function getIssues() {
+  const result = [];
+  for (const [linterName, issues] of issuesByProvider) {
+    for (const [issue, entry] of issues) {
+      result.push({ linterName, issue, ...entry });
+    }
+  }
+  return result;
+}
+
+/**
+ * Forgets the issues of a provider, e.g. once it is removed.
+ * @param {string} linterName - Name of the provider
+ */
+function clearProvider(linterName) {
+  issuesByProvider.delete(linterName);
+}
+
+function clear() {
+  issuesByProvider.clear();
+}
+
+module.exports = { record, getIssues, clearProvider, clear };
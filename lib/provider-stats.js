@@ -0,0 +1,131 @@
+const { Emitter } = require("atom");
+
+// Key of runs of project-scope providers, which do not lint a single file
+const PROJECT_KEY = "(project)";
+
+function createEntry() {
+  return {
+    runs: 0,
+    completed: 0,
+    totalDuration: 0,
+    lastDuration: null,
+    lastStatus: null,
+    maxDuration: 0,
+    timeouts: 0,
+    errors: 0,
+    aborted: 0,
+    messageCount: 0,
+  };
+}
+
+function addRun(entry, { status, duration, messageCount }) {
+  entry.runs++;
+  entry.lastStatus = status;
+  entry.lastDuration = duration;
+  if (status === "aborted") {
+    // Superseded or cancelled runs say nothing about the provider speed
+    entry.aborted++;
+    return;
+  }
+  entry.completed++;
+  entry.totalDuration += duration;
+  entry.maxDuration = Math.max(entry.maxDuration, duration);
+  if (status === "timeout") {
+    entry.timeouts++;
+  } else if (status === "error") {
+    entry.errors++;
+  } else {
+    entry.messageCount = messageCount;
+  }
+}
+
+/**
+ * Provider Stats
+ * Records the runs reported by `did-finish-linting`: count, durations, timeouts,
+ * errors and message counts of each provider, in total and per file.
+ */
+class ProviderStats {
+  constructor() {
+    this.emitter = new Emitter();
+    // Map of provider name to { total, files: Map of file path to entry }
+    this.providers = new Map();
+  }
+
+  record({ linter, filePath, status, duration, messageCount }) {
+    let provider = this.providers.get(linter.name);
+    if (!provider) {
+      provider = { total: createEntry(), files: new Map() };
+      this.providers.set(linter.name, provider);
+    }
+    const key = filePath || PROJECT_KEY;
+    let file = provider.files.get(key);
+    if (!file) {
+      file = createEntry();
+      provider.files.set(key, file);
+    }
+    const run = { status, duration, messageCount };
+    addRun(provider.total, run);
+    addRun(file, run);
+    // Messages of a provider are the sum of the latest count of each file
+    let total = 0;
+    for (const entry of provider.files.values()) {
+      total += entry.messageCount;
+    }
+    provider.total.messageCount = total;
+    this.emitter.emit("did-update");
+  }
+
+  /**
+   * Returns the statistics of every provider, slowest on average first.
+   * @returns {Array<Object>} Entries with `name`, `averageDuration` and `files`
+   */
+  getStats() {
+    const average = (entry) => (entry.completed ? entry.totalDuration / entry.completed : null);
+    return Array.from(this.providers, ([name, { total, files }]) => ({
+      name,
+      ...total,
+      averageDuration: average(total),
+      files: Array.from(files, ([filePath, entry]) => ({
+        filePath,
+        ...entry,
+        averageDuration: average(entry),
+      })),
+    })).sort((a, b) => (b.averageDuration || 0) - (a.averageDuration || 0));
+  }
+
+  /**
+   * Returns the last run of a provider on a file, or its last run on any file
+   * when the file was not linted by it.
+   * @returns {Object|null} Object with `status`, `duration` and `messageCount`
+   */
+  getLastRun(name, filePath) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      return null;
+    }
+    const entry = provider.files.get(filePath || PROJECT_KEY) || provider.total;
+    return entry.lastStatus === null
+      ? null
+      : {
+          status: entry.lastStatus,
+          duration: entry.lastDuration,
+          messageCount: entry.messageCount,
+        };
+  }
+
+  clear() {
+    this.providers.clear();
+    this.emitter.emit("did-update");
+  }
+
+  onDidUpdate(callback) {
+    return this.emitter.on("did-update", callback);
+  }
+
+  dispose() {
+    this.emitter.dispose();
+    this.providers.clear();
+  }
+}
+
+module.exports = ProviderStats;
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+const { CompositeDisposable, watchPath } = require("atom");
+const debounce = require("lodash/debounce");
+const { parseReport } = require("./report-parser");
+
+// Reports are often written in several chunks, wait for the writes to settle
+const RELOAD_DEBOUNCE_MS = 300;
+
+/**
+ * Report Importer
+ * Pushes the results of SARIF and Checkstyle report files through an indie
+ * delegate per report and tool. The `importedResultsLifetime` setting drops the
+ * results of a file once it is saved, as the report no longer describes its
+ * contents, or once it is opened, like indie linters with `deleteOnOpen`.
+ */
+class ReportImporter {
+  /**
+   * @param {Function} registerIndie - Registers an indie linter, returns its delegate
+   */
+  constructor(registerIndie) {
+    this.registerIndie = registerIndie;
+    // Map of report path to { delegates: Map of tool name to delegate, watcher, reload, failed }
+    this.reports = new Map();
+    this.lifetime = "save";
+    this.subscriptions = new CompositeDisposable();
+    this.subscriptions.add(
+      atom.config.observe("linter-bundle.importedResultsLifetime", (lifetime) => {
+        this.lifetime = lifetime;
+        for (const { delegates } of this.reports.values()) {
+          for (const delegate of delegates.values()) {
+            this.updateDeleteOnOpen(delegate);
+          }
+        }
+      }),
+      atom.workspace.observeTextEditors((editor) => {
+        const editorSubscriptions = new CompositeDisposable(
+          editor.onDidSave(({ path: filePath }) => {
+            if (this.lifetime === "save") {
+              this.deleteFilePath(filePath);
+            }
+          }),
+          editor.onDidDestroy(() => {
+            this.subscriptions.remove(editorSubscriptions);
+            editorSubscriptions.dispose();
+          }),
+        );
+        this.subscriptions.add(editorSubscriptions);
+      }),
+    );
+  }
+
+  /**
+   * Reads a report and replaces the results previously imported from it.
+   * @param {string} reportPath - Path of the report file
+   * @param {Object} [options]
+   * @param {boolean} [options.quiet] - Do not show a notification on failure
+   * @returns {Promise<number|null>} Number of imported messages, null on failure
+   */
+  async import(reportPath, { quiet = false } = {}) {
+    let tools;
+    try {
+      const content = await fs.promises.readFile(reportPath, "utf8");
+      const [projectPath] = atom.project.relativizePath(reportPath);
+      tools = parseReport(content, projectPath || path.dirname(reportPath));
+    } catch (error) {
+      if (!quiet) {
+        atom.notifications.addError("[Linter] Failed to import report", {
+          detail: `${reportPath}\n${error.message}`,
+          dismissable: true,
+        });
+      }
+      return null;
+    }
+    let report = this.reports.get(reportPath);
+    if (!report) {
+      report = { delegates: new Map(), watcher: null, reload: null, failed: false };
+      this.reports.set(reportPath, report);
+    }
+    let count = 0;
+    for (const [name, messages] of tools) {
+      let delegate = report.delegates.get(name);
+      if (!delegate) {
+        // Reports of the same tool must not replace each other's results
+        delegate = this.registerIndie({ name, id: `report:${reportPath}::${name}` });
+        this.updateDeleteOnOpen(delegate);
+        report.delegates.set(name, delegate);
+      }
+      delegate.setAllMessages(messages);
+      count += messages.length;
+    }
+    // Tools missing from the new version of the report have nothing left to report
+    for (const [name, delegate] of report.delegates) {
+      if (!tools.has(name)) {
+        delegate.dispose();
+        report.delegates.delete(name);
+      }
+    }
+    return count;
+  }
+
+  updateDeleteOnOpen(delegate) {
+    delegate.deleteOnOpen = this.lifetime === "open";
+    if (delegate.deleteOnOpen) {
+      for (const editor of atom.workspace.getTextEditors()) {
+        const filePath = editor.getPath();
+        if (filePath) {
+          delegate.deleteFilePath(filePath);
+        }
+      }
+    }
+  }
+
+  isWatched(reportPath) {
+    return Boolean(this.reports.get(reportPath)?.watcher);
+  }
+
+  /**
+   * Imports a report again whenever it changes on disk. A deleted report keeps its
+   * results until it is written again, and a failing one is reported only once
+   * until it imports again.
+   * @param {string} reportPath - Path of an imported report file
+   */
+  watch(reportPath) {
+    const report = this.reports.get(reportPath);
+    if (!report || report.watcher) {
+      return;
+    }
+    report.reload = debounce(async () => {
+      if (!fs.existsSync(reportPath)) {
+        return;
+      }
+      const count = await this.import(reportPath, { quiet: report.failed });
+      report.failed = count === null;
+    }, RELOAD_DEBOUNCE_MS);
+    report.watcher = watchPath(path.dirname(reportPath), {}, (events) => {
+      if (events.some((event) => event.path === reportPath || event.oldPath === reportPath)) {
+        report.reload();
+      }
+    });
+    report.watcher.catch((error) => {
+      atom.notifications.addWarning("[Linter] Cannot watch the report for changes", {
+        detail: `${reportPath}\n${error.message}`,
+      });
+    });
+  }
+
+  deleteFilePath(filePath) {
+    if (!filePath) {
+      return;
+    }
+    for (const { delegates } of this.reports.values()) {
+      for (const delegate of delegates.values()) {
+        delegate.deleteFilePath(filePath);
+      }
+    }
+  }
+
+  dispose() {
+    for (const { delegates, watcher, reload } of this.reports.values()) {
+      if (watcher) {
+        reload.cancel();
+        watcher.then(
+          (pathWatcher) => pathWatcher.dispose(),
+          () => {},
+        );
+      }
+      for (const delegate of delegates.values()) {
+        delegate.dispose();
+      }
+    }
+    this.reports.clear();
+    this.subscriptions.dispose();
+  }
+}
+
+module.exports = ReportImporter;
@@ -0,0 +1,175 @@
+const path = require("path");
+const { fileURLToPath } = require("url");
+
+const SARIF_SEVERITY = { error: "error", warning: "warning", note: "info", none: "info" };
+const CHECKSTYLE_SEVERITY = { error: "error", warning: "warning", info: "info", ignore: "info" };
+
+// Fallback tool name for Checkstyle entries without a `source`
+const CHECKSTYLE_TOOL = "Checkstyle";
+
+// Reports count lines and columns from 1, messages from 0
+function toPosition(startLine, startColumn, endLine, endColumn) {
+  const startRow = Math.max((startLine || 1) - 1, 0);
+  const startCol = Math.max((startColumn || 1) - 1, 0);
+  const endRow = endLine ? Math.max(endLine - 1, startRow) : startRow;
+  let endCol = endColumn ? endColumn - 1 : startCol;
+  if (endRow === startRow && endCol < startCol) {
+    endCol = startCol;
+  }
+  return [
+    [startRow, startCol],
+    [endRow, endCol],
+  ];
+}
+
+// Resolves an artifact URI, relative ones against their base id or the report root
+function resolveUri(uri, baseUri, root) {
+  if (uri.startsWith("file:")) {
+    return fileURLToPath(uri);
+  }
+  if (/^[a-z][a-z0-9+.-]+:/i.test(uri)) {
+    return null;
+  }
+  const base = baseUri && baseUri.startsWith("file:") ? fileURLToPath(baseUri) : root;
+  return path.resolve(base, decodeURIComponent(uri));
+}
+
+function parseSarif(report, root) {
+  if (!Array.isArray(report.runs)) {
+    throw new Error("The SARIF report has no `runs` array");
+  }
+  const tools = new Map();
+  for (const run of report.runs) {
+    const driver = (run.tool && run.tool.driver) || {};
+    const name = driver.name || "SARIF";
+    const rules = new Map((driver.rules || []).map((rule) => [rule.id, rule]));
+    const baseIds = run.originalUriBaseIds || {};
+    if (!tools.has(name)) {
+      tools.set(name, []);
+    }
+    const messages = tools.get(name);
+    for (const result of run.results || []) {
+      if (Array.isArray(result.suppressions) && result.suppressions.length) {
+        continue;
+      }
+      const ruleId = result.ruleId || (result.rule && result.rule.id);
+      const rule = rules.get(ruleId) || driver.rules?.[result.ruleIndex];
+      const physical = result.locations?.[0]?.physicalLocation;
+      const artifact = physical && physical.artifactLocation;
+      if (!artifact || !artifact.uri) {
+        continue;
+      }
+      const baseUri = artifact.uriBaseId && baseIds[artifact.uriBaseId]?.uri;
+      const file = resolveUri(artifact.uri, baseUri, root);
+      if (!file) {
+        continue;
+      }
+      const region = physical.region || {};
+      const level = result.level || rule?.defaultConfiguration?.level || "warning";
+      const message = {
+        severity: SARIF_SEVERITY[level] || "warning",
+        location: {
+          file,
+          position: toPosition(
+            region.startLine,
+            region.startColumn,
+            region.endLine,
+            region.endColumn,
+          ),
+        },
+        excerpt:
+          result.message?.text ||
+          result.message?.markdown ||
+          rule?.shortDescription?.text ||
+          ruleId ||
+          "No message",
+      };
+      if (ruleId) {
+        message.ruleId = ruleId;
+      }
+      if (rule && rule.helpUri) {
+        message.url = rule.helpUri;
+      }
+      messages.push(message);
+    }
+  }
+  return tools;
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([\da-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = unescapeXml(value);
+  }
+  return attributes;
+}
+
+// Checkstyle reports are flat enough to be read without an XML parser
+function parseCheckstyle(content, root) {
+  if (!/<checkstyle[\s>]/.test(content)) {
+    throw new Error("The report has no <checkstyle> element");
+  }
+  const tools = new Map();
+  for (const [, fileAttributes, body] of content.matchAll(
+    /<file\s([^>]*?)(?:\/>|>([\s\S]*?)<\/file>)/g,
+  )) {
+    const { name } = parseAttributes(fileAttributes);
+    if (!name || !body) {
+      continue;
+    }
+    const file = path.resolve(root, name);
+    for (const [, errorAttributes] of body.matchAll(/<error\s([^>]*?)\/?>/g)) {
+      const { line, column, severity, message, source } = parseAttributes(errorAttributes);
+      // ESLint and similar tools report sources like `eslint.rules.no-unused-vars`,
+      // Checkstyle itself the Java class of the check
+      const segments = source ? source.split(".") : [];
+      const tool = segments.length > 2 && segments[1] === "rules" ? segments[0] : CHECKSTYLE_TOOL;
+      if (!tools.has(tool)) {
+        tools.set(tool, []);
+      }
+      const entry = {
+        severity: CHECKSTYLE_SEVERITY[severity] || "warning",
+        location: {
+          file,
+          position: toPosition(Number(line), Number(column)),
+        },
+        excerpt: message || source || "No message",
+      };
+      if (segments.length) {
+        entry.ruleId = segments[segments.length - 1];
+      }
+      tools.get(tool).push(entry);
+    }
+  }
+  return tools;
+}
+
+/**
+ * Parses a SARIF 2.1 or Checkstyle XML report into linter messages.
+ * @param {string} content - Report file contents
+ * @param {string} root - Directory relative paths of the report are resolved against
+ * @returns {Map<string, Array<Object>>} Messages by the name of the tool reporting them
+ */
+function parseReport(content, root) {
+  const text = content.replace(/^\uFEFF/, "").trim();
+  if (text.startsWith("{")) {
+    return parseSarif(JSON.parse(text), root);
+  }
+  if (text.startsWith("<")) {
+    return parseCheckstyle(text, root);
+  }
+  throw new Error("Unknown report format, expected SARIF or Checkstyle XML");
+}
+
+module.exports = { parseReport };
@@ -0,0 +1,111 @@
+const path = require("path");
+
+const VALID_RULE_SEVERITY = new Set(["error", "warning", "info", "hidden"]);
+
+let minimatchFn;
+let globalRules = [];
+let getProjectRules = () => null;
+// Compiled project rules, by the rules array of the project configuration
+const compiledProjectRules = new WeakMap();
+
+/**
+ * Compiles raw severity rules, skipping and logging invalid entries.
+ * @param {Array} rules - Rules as written in the config or project file
+ * @returns {Array} Compiled rules
+ */
+function compileRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+  const compiled = [];
+  for (const rule of rules) {
+    if (!rule || typeof rule !== "object" || !VALID_RULE_SEVERITY.has(rule.severity)) {
+      console.warn("[Linter] Ignoring invalid severity rule:", rule);
+      continue;
+    }
+    let excerpt = null;
+    if (typeof rule.excerpt === "string") {
+      try {
+        excerpt = new RegExp(rule.excerpt);
+      } catch (error) {
+        console.warn("[Linter] Ignoring severity rule with invalid excerpt:", rule, error);
+        continue;
+      }
+    }
+    compiled.push({
+      provider: typeof rule.provider === "string" ? rule.provider : null,
+      excerpt,
+      rule: typeof rule.rule === "string" ? rule.rule : null,
+      path: typeof rule.path === "string" ? rule.path : null,
+      severity: rule.severity,
+    });
+  }
+  return compiled;
+}
+
+function matchesPath(filePath, glob) {
+  if (!filePath) {
+    return false;
+  }
+  if (!minimatchFn) {
+    const mod = require("minimatch");
+    minimatchFn = mod.minimatch || mod;
+  }
+  const toPosix = (entry) => (process.platform === "win32" ? entry.replace(/\\/g, "/") : entry);
+  const [, relativePath] = atom.project.relativizePath(filePath);
+  return (
+    minimatchFn(toPosix(filePath), glob) ||
+    (!path.isAbsolute(relativePath) && minimatchFn(toPosix(relativePath), glob))
+  );
+}
+
+function matchesRule(rule, message, ruleId) {
+  return (
+    (rule.provider === null || rule.provider === message.linterName) &&
+    (rule.rule === null || rule.rule === ruleId) &&
+    (rule.excerpt === null || rule.excerpt.test(message.excerpt)) &&
+    (rule.path === null || matchesPath(message.location.file, rule.path))
+  );
+}
+
+function setGlobalRules(rules) {
+  globalRules = compileRules(rules);
+}
+
+/**
+ * Sets the function returning the raw severity rules of the project a file belongs to.
+ */
+function setProjectRulesProvider(provider) {
+  getProjectRules = provider || (() => null);
+}
+
+/**
+ * Applies the first matching severity rule to a message, project rules first.
+ * @param {Object} message - Linter message with `linterName` set
+ * @param {string|null} ruleId - Rule the message was reported for
+ * @returns {boolean} False when the message should be hidden
+ */
+function applySeverityRules(message, ruleId) {
+  const projectRules = getProjectRules(message.location.file);
+  let rules = globalRules;
+  if (Array.isArray(projectRules) && projectRules.length) {
+    let compiled = compiledProjectRules.get(projectRules);
+    if (!compiled) {
+      compiled = compileRules(projectRules);
+      compiledProjectRules.set(projectRules, compiled);
+    }
+    rules = compiled.concat(globalRules);
+  }
+  for (const rule of rules) {
+    if (matchesRule(rule, message, ruleId)) {
+      if (rule.severity === "hidden") {
+        return false;
+      }
+      message.severity = rule.severity;
+      return true;
+    }
+  }
+  return true;
+}
+
+module.exports = { setGlobalRules, setProjectRulesProvider, applySeverityRules };
@@ -0,0 +1,43 @@
+const { spawn } = require("child_process");
+
+/**
+ * Runs a command line in a shell. On POSIX the shell leads a process group of its
+ * own, so `killShell` also stops the processes the command started.
+ * @param {string} commandLine - Command line to run
+ * @param {Object} options - Options of `child_process.spawn`
+ * @returns {ChildProcess}
+ */
+function spawnShell(commandLine, options) {
+  return spawn(commandLine, {
+    ...options,
+    shell: true,
+    detached: process.platform !== "win32",
+  });
+}
+
+/**
+ * Stops a command started by `spawnShell` along with its child processes.
+ * @param {ChildProcess} child - Process returned by `spawnShell`
+ */
+function killShell(child) {
+  if (!child.pid) {
+    return;
+  }
+  if (process.platform === "win32") {
+    if (child.exitCode === null) {
+      spawn("taskkill", ["/pid", String(child.pid), "/t", "/f"], { windowsHide: true }).on(
+        "error",
+        () => child.kill(),
+      );
+    }
+    return;
+  }
+  try {
+    // The group outlives the shell while the processes it started still run
+    process.kill(-child.pid, "SIGTERM");
+  } catch (error) {
+    // Nothing is left to stop
+  }
+}
+
+module.exports = { spawnShell, killShell };
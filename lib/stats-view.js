@@ -0,0 +1,134 @@
+/** @babel */
+/** @jsx etch.dom */
+
+const etch = require("etch");
+
+const STATS_URI = "atom://linter-bundle/stats";
+
+function formatDuration(ms) {
+  if (ms === null) {
+    return "–";
+  }
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function renderCells(entry) {
+  return [
+    <td>{entry.runs}</td>,
+    <td>{formatDuration(entry.lastDuration)}</td>,
+    <td>{formatDuration(entry.averageDuration)}</td>,
+    <td>{formatDuration(entry.completed ? entry.maxDuration : null)}</td>,
+    <td class={entry.timeouts ? "text-error" : ""}>{entry.timeouts}</td>,
+    <td class={entry.errors ? "text-error" : ""}>{entry.errors}</td>,
+    <td>{entry.aborted}</td>,
+    <td>{entry.messageCount}</td>,
+  ];
+}
+
+function renderHeader(firstColumn) {
+  return (
+    <tr>
+      <th>{firstColumn}</th>
+      <th>Runs</th>
+      <th>Last</th>
+      <th>Average</th>
+      <th>Max</th>
+      <th>Timeouts</th>
+      <th>Errors</th>
+      <th>Aborted</th>
+      <th>Messages</th>
+    </tr>
+  );
+}
+
+/**
+ * Stats View
+ * Workspace item showing the run statistics of each provider, opened at `STATS_URI`.
+ */
+class StatsView {
+  constructor(stats) {
+    this.stats = stats;
+    this.selectedProvider = null;
+    etch.initialize(this);
+    this.subscription = this.stats.onDidUpdate(() => this.update());
+  }
+
+  selectProvider(name) {
+    this.selectedProvider = this.selectedProvider === name ? null : name;
+    this.update();
+  }
+
+  update() {
+    return etch.update(this);
+  }
+
+  render() {
+    const providers = this.stats.getStats();
+    const selected = providers.find((provider) => provider.name === this.selectedProvider);
+    const rows = providers.map((provider) => (
+      <tr
+        class={provider === selected ? "linter-stats-row selected" : "linter-stats-row"}
+        on={{ click: () => this.selectProvider(provider.name) }}
+      >
+        <td>{provider.name}</td>
+        {renderCells(provider)}
+      </tr>
+    ));
+    let files = <div class="text-subtle">Select a provider to see its runs per file.</div>;
+    if (selected) {
+      const fileRows = selected.files
+        .slice()
+        .sort((a, b) => (b.averageDuration || 0) - (a.averageDuration || 0))
+        .map((file) => (
+          <tr>
+            <td title={file.filePath}>{atom.project.relativizePath(file.filePath)[1]}</td>
+            {renderCells(file)}
+          </tr>
+        ));
+      files = (
+        <table class="linter-stats-table">
+          <thead>{renderHeader(`Files linted by ${selected.name}`)}</thead>
+          <tbody>{fileRows}</tbody>
+        </table>
+      );
+    }
+    return (
+      <div class="linter-stats native-key-bindings" tabIndex="-1">
+        <div class="linter-stats-header">
+          <span class="text-subtle">Provider runs since the package was activated</span>
+          <button class="btn" on={{ click: () => this.stats.clear() }}>
+            Reset
+          </button>
+        </div>
+        {providers.length ? (
+          <table class="linter-stats-table">
+            <thead>{renderHeader("Provider")}</thead>
+            <tbody>{rows}</tbody>
+          </table>
+        ) : (
+          <div class="text-subtle">No provider has run yet.</div>
+        )}
+        {providers.length ? files : null}
+      </div>
+    );
+  }
+
+  getTitle() {
+    return "Linter Stats";
+  }
+
+  getIconName() {
+    return "graph";
+  }
+
+  getURI() {
+    return STATS_URI;
+  }
+
+  destroy() {
+    this.subscription.dispose();
+    etch.destroy(this);
+  }
+}
+
+module.exports = { StatsView, STATS_URI };
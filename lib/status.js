@@ -3,6 +3,8 @@ class StatusPanel {
     this.pkg = pkg;
     this.editor = null;
     this.statusMode = true;
+    this.hasMessages = false;
+    this.lintingDisabled = false;
 
     this.element = document.createElement("div");
     this.element.classList.add("linter-status", "inline-block");
@@ -41,6 +43,10 @@ class StatusPanel {
     this.ispan.appendChild(this.ilabel);
     this.element.appendChild(this.ispan);
 
+    this.busySpan = document.createElement("span");
+    this.busySpan.classList.add("linter-busy", "loading", "loading-spinner-tiny", "inline-block");
+    this.element.appendChild(this.busySpan);
+
     this.element.onmouseup = (e) => this.onmouseup(e);
     this.element.oncontextmenu = (e) => e.preventDefault();
 
@@ -55,12 +61,17 @@ class StatusPanel {
       html: true,
     });
 
+    this.busyTooltipDisposable = atom.tooltips.add(this.busySpan, {
+      title: () => `Running: ${this.pkg.getRunningProviders().join(", ")}`,
+    });
+
     this.update();
   }
 
   destroy() {
     this.configDisposable.dispose();
     this.tooltipDisposable.dispose();
+    this.busyTooltipDisposable.dispose();
     this.element.remove();
   }
 
@@ -81,6 +92,7 @@ class StatusPanel {
     let icount = 0;
     const lintingDisabled = this.pkg.isLintingDisabledForEditor(this.editor);
     for (const message of this._getMessages()) {
+      if (message.baselined) continue;
       if (message.severity === "error") ecount++;
       else if (message.severity === "warning") wcount++;
       else if (message.severity === "info") icount++;
@@ -94,9 +106,18 @@ class StatusPanel {
     this.element.classList.toggle("linting-disabled", lintingDisabled);
     this.disabledSpan.classList.toggle("linter-disabled-hidden", !lintingDisabled);
     this.element.classList.toggle("project-mode", this.pkg.panel?.viewMode === "project");
+    this.hasMessages = ecount + wcount + icount > 0;
+    this.lintingDisabled = lintingDisabled;
+    this.updateBusy();
+  }
+
+  // Shows the spinner while providers run for the active file
+  updateBusy() {
+    const busy = this.pkg.getRunningProviders().length > 0;
+    this.busySpan.classList.toggle("linter-busy-hidden", !busy);
     this.element.classList.toggle(
       "linter-status-hidden",
-      !this.statusMode && ecount + wcount + icount === 0 && !lintingDisabled,
+      !this.statusMode && !busy && !this.hasMessages && !this.lintingDisabled,
     );
   }
 
@@ -0,0 +1,239 @@
+const path = require("path");
+const throttle = require("lodash/throttle");
+const { ProblemMatcher } = require("./problem-matcher");
+const { spawnShell, killShell } = require("./shell");
+
+// Interval of publishing the results of a running task
+const PUBLISH_THROTTLE_MS = 250;
+// Lines of output shown when a task fails without reporting problems
+const OUTPUT_TAIL_LINES = 20;
+
+function copyMessages(messages) {
+  return messages.map((message) => ({ ...message, location: { ...message.location } }));
+}
+
+/**
+ * Task Runner
+ * Runs the commands of the `tasks` setting and of project configuration files,
+ * and publishes the problems matched in their output through an indie delegate
+ * per task while they run.
+ */
+class TaskRunner {
+  /**
+   * @param {Object} options
+   * @param {Function} options.registerIndie - Registers an indie linter, returns its delegate
+   * @param {ProjectConfig} options.projectConfig - Source of the project tasks
+   * @param {BusySignal} options.busySignal - Reports the running tasks
+   */
+  constructor({ registerIndie, projectConfig, busySignal }) {
+    this.registerIndie = registerIndie;
+    this.projectConfig = projectConfig;
+    this.busySignal = busySignal;
+    // Delegates and running processes by task id
+    this.delegates = new Map();
+    this.runs = new Map();
+    // Configuration files whose tasks were reported as not allowed
+    this.reportedFiles = new Set();
+  }
+
+  // Project tasks run commands from the repository, so they need the user's consent
+  getProjectTasks(root) {
+    const config = this.projectConfig.configs.get(root);
+    const tasks = config && config.settings.tasks;
+    if (!Array.isArray(tasks) || !tasks.length) {
+      return [];
+    }
+    if (atom.config.get("linter-bundle.allowProjectTasks")) {
+      return tasks;
+    }
+    if (!this.reportedFiles.has(config.filePath)) {
+      this.reportedFiles.add(config.filePath);
+      const notification = atom.notifications.addWarning(
+        "[Linter] Tasks of the project are not allowed",
+        {
+          detail: `${config.filePath} declares tasks, which run commands of the project.`,
+          dismissable: true,
+          buttons: [
+            {
+              text: "Allow",
+              onDidClick: () => {
+                atom.config.set("linter-bundle.allowProjectTasks", true);
+                notification.dismiss();
+              },
+            },
+          ],
+        },
+      );
+    }
+    return [];
+  }
+
+  /**
+   * Returns the tasks of every project root, once `allowProjectTasks` is enabled,
+   * followed by the global ones. Relative `cwd` are resolved against the project
+   * root, or the first one for global tasks.
+   * @returns {Array<Object>} Tasks with `id`, `name`, `command`, `cwd`, `matcher`, `severity`
+   */
+  getTasks() {
+    const projectPaths = atom.project.getPaths();
+    const sources = projectPaths.map((root) => ({
+      root,
+      tasks: this.getProjectTasks(root),
+    }));
+    sources.push({
+      root: projectPaths[0] || process.cwd(),
+      tasks: atom.config.get("linter-bundle.tasks"),
+    });
+    const tasks = [];
+    for (const { root, tasks: entries } of sources) {
+      if (!Array.isArray(entries)) {
+        continue;
+      }
+      for (const entry of entries) {
+        if (
+          !entry ||
+          typeof entry.name !== "string" ||
+          typeof entry.command !== "string" ||
+          !entry.matcher
+        ) {
+          continue;
+        }
+        const cwd = path.resolve(root, entry.cwd || ".");
+        tasks.push({
+          id: `${cwd}::${entry.name}`,
+          name: entry.name,
+          command: entry.command,
+          cwd,
+          matcher: entry.matcher,
+          severity: entry.severity || "error",
+        });
+      }
+    }
+    return tasks;
+  }
+
+  isRunning(task) {
+    return this.runs.has(task.id);
+  }
+
+  /**
+   * Runs a task, stopping its previous run. Its results replace the ones of the
+   * previous run as they are found.
+   * @param {Object} task - Task returned by `getTasks`
+   */
+  run(task) {
+    let matcher;
+    try {
+      matcher = new ProblemMatcher(task.matcher, { cwd: task.cwd, severity: task.severity });
+    } catch (error) {
+      atom.notifications.addError(`[Linter] Invalid task ${task.name}`, {
+        detail: error.message,
+        dismissable: true,
+      });
+      return;
+    }
+    this.stop(task);
+    let delegate = this.delegates.get(task.id);
+    if (!delegate) {
+      // Tasks of the same name in other directories must not replace each other's results
+      delegate = this.registerIndie({ name: task.name, id: `task:${task.id}` });
+      this.delegates.set(task.id, delegate);
+    }
+    const messages = [];
+    const output = [];
+    const publish = throttle(
+      () => delegate.setAllMessages(copyMessages(messages)),
+      PUBLISH_THROTTLE_MS,
+    );
+    const child = spawnShell(task.command, { cwd: task.cwd, env: process.env });
+    const run = {
+      child,
+      stopped: false,
+      busy: this.busySignal.reportBusy(`Running task ${task.name}`),
+    };
+    this.runs.set(task.id, run);
+
+    const onLine = (line) => {
+      output.push(line);
+      if (output.length > OUTPUT_TAIL_LINES) {
+        output.shift();
+      }
+      const message = matcher.match(line);
+      if (message) {
+        messages.push(message);
+        publish();
+      }
+    };
+    // Output arrives in chunks, split them into lines and keep the unfinished one
+    for (const stream of [child.stdout, child.stderr]) {
+      let pending = "";
+      stream.setEncoding("utf8");
+      stream.on("data", (chunk) => {
+        const lines = (pending + chunk).split(/\r?\n/);
+        pending = lines.pop();
+        lines.forEach(onLine);
+      });
+      stream.on("end", () => {
+        if (pending) {
+          onLine(pending);
+          pending = "";
+        }
+      });
+    }
+
+    const finish = () => {
+      publish.cancel();
+      if (run.busy) {
+        run.busy.dispose();
+        run.busy = null;
+      }
+      if (this.runs.get(task.id) === run) {
+        this.runs.delete(task.id);
+      }
+    };
+    child.on("error", (error) => {
+      run.stopped = true;
+      finish();
+      atom.notifications.addError(`[Linter] Failed to run task ${task.name}`, {
+        detail: error.message,
+        dismissable: true,
+      });
+    });
+    child.on("close", (code) => {
+      finish();
+      if (run.stopped) {
+        return;
+      }
+      delegate.setAllMessages(copyMessages(messages), { showProjectView: messages.length > 0 });
+      if (code !== 0 && !messages.length) {
+        atom.notifications.addWarning(`[Linter] Task ${task.name} exited with code ${code}`, {
+          detail: output.join("\n") || undefined,
+          dismissable: true,
+        });
+      }
+    });
+  }
+
+  stop(task) {
+    const run = this.runs.get(task.id);
+    if (run) {
+      run.stopped = true;
+      killShell(run.child);
+      this.runs.delete(task.id);
+    }
+  }
+
+  dispose() {
+    for (const run of this.runs.values()) {
+      run.stopped = true;
+      killShell(run.child);
+    }
+    this.runs.clear();
+    for (const delegate of this.delegates.values()) {
+      delegate.dispose();
+    }
+    this.delegates.clear();
+  }
+}
+
+module.exports = TaskRunner;
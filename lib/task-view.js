@@ -0,0 +1,51 @@
+const path = require("path");
+const { CompositeDisposable, Emitter } = require("atom");
+const { SelectListView, highlightMatches, createTwoLineItem } = require("@asiloisad/select-list");
+
+class TaskView {
+  constructor(taskRunner) {
+    this.emitter = new Emitter();
+    this.subscriptions = new CompositeDisposable();
+    this.taskRunner = taskRunner;
+    this.selectList = new SelectListView({
+      className: "linter-bundle task-view",
+      emptyMessage: "No tasks defined",
+      filterKeyForItem: (item) => item.name,
+      willShow: () => {
+        this.selectList.update({ items: this.taskRunner.getTasks() });
+      },
+      elementForItem: (item, { filterKey, matchIndices }) => {
+        const multiProject = atom.project.getPaths().length > 1;
+        return createTwoLineItem({
+          primary: highlightMatches(filterKey, matchIndices),
+          secondary: multiProject ? `${path.basename(item.cwd)} · ${item.command}` : item.command,
+          icon: this.taskRunner.isRunning(item) ? ["icon-sync"] : ["icon-playback-play"],
+        });
+      },
+      didConfirmSelection: (item) => {
+        this.selectList.hide();
+        this.taskRunner.run(item);
+      },
+      didCancelSelection: () => {
+        this.selectList.hide();
+      },
+    });
+    this.subscriptions.add(this.emitter);
+  }
+
+  show() {
+    this.selectList.show();
+  }
+
+  onDidDispose(callback) {
+    return this.emitter.on("did-dispose", callback);
+  }
+
+  dispose() {
+    this.emitter.emit("did-dispose");
+    this.subscriptions.dispose();
+    this.selectList.destroy();
+  }
+}
+
+module.exports = TaskView;
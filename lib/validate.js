@@ -1,6 +1,8 @@
 const { Range, Point } = require("atom");
+const ProviderIssues = require("./provider-issues");
 
 const VALID_SEVERITY = new Set(["error", "warning", "info"]);
+const VALID_COLUMN_ENCODING = new Set(["utf8", "utf16", "codepoint"]);
 
 function showError(title, description, points) {
   const renderedPoints = points.map((item) => `  • ${item}`);
@@ -65,6 +67,18 @@ function validateLinter(linter) {
     if (typeof linter.lint !== "function") {
       messages.push("Linter.lint must be a function");
     }
+    if (
+      linter.timeout !== undefined &&
+      (typeof linter.timeout !== "number" || !(linter.timeout > 0))
+    ) {
+      messages.push("Linter.timeout must be a positive number");
+    }
+    if (linter.lintsUntitled !== undefined && typeof linter.lintsUntitled !== "boolean") {
+      messages.push("Linter.lintsUntitled must be a boolean");
+    }
+    if (linter.columnEncoding !== undefined && !VALID_COLUMN_ENCODING.has(linter.columnEncoding)) {
+      messages.push("Linter.columnEncoding must be 'utf8', 'utf16' or 'codepoint'");
+    }
   } else {
     messages.push("Linter must be an object");
   }
@@ -103,110 +117,188 @@ function validateIndie(indie) {
   return true;
 }
 
-function validateMessages(linterName, entries) {
-  const messages = [];
-  if (Array.isArray(entries)) {
-    let invalidURL = false;
-    let invalidIcon = false;
-    let invalidExcerpt = false;
-    let invalidLocation = false;
-    let invalidSeverity = false;
-    let invalidSolution = false;
-    let invalidReference = false;
-    let invalidDescription = false;
-    let invalidLinterName = false;
-    for (let i = 0, { length } = entries; i < length; ++i) {
-      const message = entries[i];
-      const { reference } = message;
-      if (!invalidIcon && message.icon && typeof message.icon !== "string") {
-        invalidIcon = true;
-        messages.push("Message.icon must be a string");
-      }
-      if (
-        !invalidLocation &&
-        (!message.location ||
-          typeof message.location !== "object" ||
-          typeof message.location.file !== "string" ||
-          typeof message.location.position !== "object" ||
-          !message.location.position)
-      ) {
-        invalidLocation = true;
-        messages.push("Message.location must be valid");
-      } else if (!invalidLocation) {
-        const range = Range.fromObject(message.location.position);
-        if (
-          Number.isNaN(range.start.row) ||
-          Number.isNaN(range.start.column) ||
-          Number.isNaN(range.end.row) ||
-          Number.isNaN(range.end.column)
-        ) {
-          invalidLocation = true;
-          messages.push("Message.location.position should not contain NaN coordinates");
-        }
-      }
-      if (
-        !invalidSolution &&
-        message.solutions &&
-        !Array.isArray(message.solutions) &&
-        !(message.solutions instanceof Promise)
-      ) {
-        invalidSolution = true;
-        messages.push("Message.solutions must be valid");
-      }
-      if (
-        !invalidReference &&
-        reference &&
-        (typeof reference !== "object" ||
-          typeof reference.file !== "string" ||
-          typeof reference.position !== "object" ||
-          !reference.position)
-      ) {
-        invalidReference = true;
-        messages.push("Message.reference must be valid");
-      } else if (!invalidReference && reference && reference.position !== undefined) {
-        const position = Point.fromObject(reference.position);
-        if (Number.isNaN(position.row) || Number.isNaN(position.column)) {
-          invalidReference = true;
-          messages.push("Message.reference.position should not contain NaN coordinates");
-        }
-      }
-      if (!invalidExcerpt && typeof message.excerpt !== "string") {
-        invalidExcerpt = true;
-        messages.push("Message.excerpt must be a string");
-      }
-      if (!invalidSeverity && !VALID_SEVERITY.has(message.severity)) {
-        invalidSeverity = true;
-        messages.push("Message.severity must be 'error', 'warning' or 'info'");
-      }
-      if (!invalidURL && message.url && typeof message.url !== "string") {
-        invalidURL = true;
-        messages.push("Message.url must be a string");
-      }
-      if (
-        !invalidDescription &&
-        message.description &&
-        typeof message.description !== "function" &&
-        typeof message.description !== "string"
-      ) {
-        invalidDescription = true;
-        messages.push("Message.description must be a function or string");
-      }
-      if (!invalidLinterName && message.linterName && typeof message.linterName !== "string") {
-        invalidLinterName = true;
-        messages.push("Message.linterName must be a string");
-      }
-    }
+// Returns the issues of a single message, an empty array when it is valid
+function getMessageIssues(message) {
+  const issues = [];
+  if (!message || typeof message !== "object") {
+    issues.push("Message must be an object");
+    return issues;
+  }
+  const { reference } = message;
+  if (message.icon && typeof message.icon !== "string") {
+    issues.push("Message.icon must be a string");
+  }
+  if (
+    !message.location ||
+    typeof message.location !== "object" ||
+    typeof message.location.file !== "string" ||
+    typeof message.location.position !== "object" ||
+    !message.location.position
+  ) {
+    issues.push("Message.location must be valid");
   } else {
-    messages.push("Linter Result must be an Array");
+    const range = Range.fromObject(message.location.position);
+    if (
+      Number.isNaN(range.start.row) ||
+      Number.isNaN(range.start.column) ||
+      Number.isNaN(range.end.row) ||
+      Number.isNaN(range.end.column)
+    ) {
+      issues.push("Message.location.position should not contain NaN coordinates");
+    }
   }
-  if (messages.length) {
-    showError(
-      "Invalid Linter Result received",
-      `These issues were encountered while processing messages from a linter named '${linterName}'`,
-      messages,
-    );
+  if (
+    message.solutions &&
+    !Array.isArray(message.solutions) &&
+    !(message.solutions instanceof Promise) &&
+    typeof message.solutions !== "function"
+  ) {
+    issues.push("Message.solutions must be valid");
+  }
+  if (
+    reference &&
+    (typeof reference !== "object" ||
+      typeof reference.file !== "string" ||
+      typeof reference.position !== "object" ||
+      !reference.position)
+  ) {
+    issues.push("Message.reference must be valid");
+  } else if (reference && reference.position !== undefined) {
+    const position = Point.fromObject(reference.position);
+    if (Number.isNaN(position.row) || Number.isNaN(position.column)) {
+      issues.push("Message.reference.position should not contain NaN coordinates");
+    }
+  }
+  if (typeof message.excerpt !== "string") {
+    issues.push("Message.excerpt must be a string");
+  }
+  if (!VALID_SEVERITY.has(message.severity)) {
+    issues.push("Message.severity must be 'error', 'warning' or 'info'");
+  }
+  if (message.url && typeof message.url !== "string") {
+    issues.push("Message.url must be a string");
+  }
+  if (
+    message.description &&
+    typeof message.description !== "function" &&
+    typeof message.description !== "string"
+  ) {
+    issues.push("Message.description must be a function or string");
+  }
+  if (message.linterName && typeof message.linterName !== "string") {
+    issues.push("Message.linterName must be a string");
+  }
+  return issues;
+}
+
+// Returns the issues of a single linter v1 message, an empty array when it is valid
+function getLegacyMessageIssues(message) {
+  const issues = [];
+  if (!message || typeof message !== "object") {
+    issues.push("Message must be an object");
+    return issues;
+  }
+  if (typeof message.text !== "string" && typeof message.html !== "string") {
+    issues.push("Message.text or Message.html must be a string");
+  }
+  if (message.filePath && typeof message.filePath !== "string") {
+    issues.push("Message.filePath must be a string");
+  }
+  if (message.range) {
+    const range = typeof message.range === "object" ? Range.fromObject(message.range) : null;
+    if (
+      !range ||
+      Number.isNaN(range.start.row) ||
+      Number.isNaN(range.start.column) ||
+      Number.isNaN(range.end.row) ||
+      Number.isNaN(range.end.column)
+    ) {
+      issues.push("Message.range must be valid");
+    }
+  }
+  if (message.fix && (typeof message.fix !== "object" || !message.fix.range)) {
+    issues.push("Message.fix must be valid");
+  }
+  return issues;
+}
+
+function showInvalidResult(linterName, issues) {
+  showError(
+    "Invalid Linter Result received",
+    `These issues were encountered while processing messages from a linter named '${linterName}'`,
+    issues,
+  );
+}
+
+function validateMessages(linterName, entries, getIssues = getMessageIssues) {
+  if (!Array.isArray(entries)) {
+    showInvalidResult(linterName, ["Linter Result must be an Array"]);
     return false;
   }
+  const issues = new Set();
+  for (let i = 0, { length } = entries; i < length; ++i) {
+    for (const issue of getIssues(entries[i])) {
+      issues.add(issue);
+    }
+  }
+  if (issues.size) {
+    showInvalidResult(linterName, Array.from(issues));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Removes invalid entries from a provider result in place and records them in
+ * the provider issues, instead of rejecting the whole result.
+ * @returns {boolean} False when the result is not an Array
+ */
+function filterMessages(linterName, entries, getIssues) {
+  if (!Array.isArray(entries)) {
+    showInvalidResult(linterName, ["Linter Result must be an Array"]);
+    return false;
+  }
+  // Map of issue to the indexes of the entries having it
+  const failures = new Map();
+  let kept = 0;
+  for (let i = 0, { length } = entries; i < length; ++i) {
+    const issues = getIssues(entries[i]);
+    if (!issues.length) {
+      entries[kept++] = entries[i];
+      continue;
+    }
+    for (const issue of issues) {
+      if (!failures.has(issue)) {
+        failures.set(issue, []);
+      }
+      failures.get(issue).push(i);
+    }
+  }
+  entries.length = kept;
+  for (const [issue, indexes] of failures) {
+    ProviderIssues.record(linterName, issue, indexes);
+  }
+  return true;
+}
+
+/**
+ * Validates a provider result according to the `validationMode` setting. In
+ * lenient mode invalid entries are dropped; in strict mode an invalid entry
+ * rejects the result, and results are only checked in dev mode unless forced.
+ * @param {string} linterName - Name of the provider
+ * @param {Array} entries - Messages received from the provider
+ * @param {boolean} [force] - Check in strict mode outside of dev mode too
+ * @param {number} [version] - Linter API version of the messages, 1 or 2
+ * @returns {boolean} True when the (remaining) messages can be used
+ */
+function validateResult(linterName, entries, force = false, version = 2) {
+  const getIssues = version === 1 ? getLegacyMessageIssues : getMessageIssues;
+  if (atom.config.get("linter-bundle.validationMode") === "lenient") {
+    return filterMessages(linterName, entries, getIssues);
+  }
+  if (force || atom.inDevMode() || !Array.isArray(entries)) {
+    return validateMessages(linterName, entries, getIssues);
+  }
   return true;
 }
 
@@ -215,4 +307,5 @@ module.exports = {
   linter: validateLinter,
   indie: validateIndie,
   messages: validateMessages,
+  result: validateResult,
 };